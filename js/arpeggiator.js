@@ -0,0 +1,382 @@
+/**
+ * arpeggiator.js
+ * Written by Mirthe_
+ *
+ * Arpeggiator class that sits in front of a Synthesizer's noteOn/noteOff
+ * * Has the same noteOn/noteOff/panic functions as a Synthesizer, so any input (buttons, MidiInput) can play through it
+ * * Steps are scheduled on the synth's audio clock (see Synthesizer.scheduleEvent), every step's note
+ * is scheduled together with its gate release so stopping the arp never leaves voices held,
+ * steps scheduled ahead of their time are cancelled when it stops
+ * * Disabled, notes pass straight through to the synth
+ * * Notes are released by their voice handle (see Synthesizer.startNote), so the arp's voices and the keys
+ * passed through never release each other on the same note
+ */
+
+/**
+ * Step orders
+ * <br>as-played: order the held notes were pressed in, chord: every held note on each step (stepping through octaves)
+ * @type {string[]}
+ */
+export const ARP_MODES = ["up", "down", "up-down", "random", "as-played", "chord"];
+
+/**
+ * Step lengths in beats for each rate division ("t" divisions are triplets)
+ * @type {Object<string, number>}
+ */
+export const ARP_DIVISIONS = {"1/1": 4, "1/2": 2, "1/4": 1, "1/8": 1 / 2, "1/8t": 1 / 3, "1/16": 1 / 4, "1/16t": 1 / 6, "1/32": 1 / 8};
+
+export class Arpeggiator {
+    /**
+     * Arpeggiator playing a Synthesizer
+     * @param {Synthesizer} synth Synthesizer to play
+     * @param {Object} [options] initial values for any of the arpeggiator's setters (ie. {mode: "up-down", bpm: 140})
+     * @constructor
+     */
+    constructor(synth, options = {}) {
+        /** @type {Synthesizer} */
+        this.synth = synth;
+
+        /** arpeggiate notes, false passes them through to the synth */
+        this._enabled = true;
+        /** @type {"up" | "down" | "up-down" | "random" | "as-played" | "chord"} */
+        this._mode = "up";
+        /** number of octaves the held notes are repeated over (1-4) */
+        this._octaves = 1;
+        /** @type {string} key of ARP_DIVISIONS, the length of a step */
+        this._division = "1/16";
+        /** tempo in beats per minute */
+        this._bpm = 120;
+        /** 0-1 of a step each note is held for */
+        this._gate = 0.5;
+        /** 0-1 how late every second step plays, in half steps (0.66 is about a triplet shuffle) */
+        this._swing = 0;
+        /** keep playing the last notes after they're released, until new notes are pressed */
+        this._latch = false;
+
+        /**
+         * Keys currently pressed, mapped to their velocity
+         * @type {Map<number, number>}
+         */
+        this.pressedKeys = new Map();
+
+        /**
+         * Notes being arpeggiated in the order they were pressed (pressed keys, or the latched ones)
+         * @type {{note: number, velocity: number}[]}
+         */
+        this.heldNotes = [];
+
+        /** number of steps played since the arp started */
+        this.stepIndex = 0;
+
+        /** context time of the last step before swing */
+        this.gridTime = 0;
+
+        /** true while steps are being scheduled */
+        this.running = false;
+
+        /** bumped on every stop, so steps scheduled by an earlier run drop out */
+        this.clock = 0;
+
+        /**
+         * Voices started by steps whose gate hasn't ended yet, with their scheduled release and the time the step plays at
+         * @type {Set<{handle: Object, event: Object, time: number}>}
+         */
+        this.stepNotes = new Set();
+
+        /**
+         * Voice handles of the keys passed through to the synth while disabled, by note
+         * @type {Map<number, Object>}
+         */
+        this.passedNotes = new Map();
+
+        for (let key in options) this[key] = options[key];
+    }
+
+    // ----- Note functions ----- //
+
+    /**
+     * Presses a key, starting the arp if it's the first one
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     */
+    noteOn(note, velocity = 127) {
+        note = parseInt(note);
+        if (!this._enabled) {
+            this.pressedKeys.set(note, velocity);
+            this.passNote(note, velocity);
+            return;
+        }
+        //a new chord after every key was let go replaces the latched notes
+        if (this._latch && this.pressedKeys.size === 0) this.heldNotes = [];
+        this.pressedKeys.set(note, velocity);
+        this.heldNotes = this.heldNotes.filter((held) => held.note !== note);
+        this.heldNotes.push({note: note, velocity: velocity});
+        if (!this.running) this.start();
+    }
+
+    /**
+     * Releases a key, the arp stops once no notes are held (and latch is off)
+     * @param {number} note Midi note value
+     */
+    noteOff(note) {
+        note = parseInt(note);
+        if (!this.pressedKeys.has(note)) return;
+        this.pressedKeys.delete(note);
+        if (!this._enabled) {
+            this.releasePassedNote(note);
+            return;
+        }
+        if (this._latch) return;
+        this.heldNotes = this.heldNotes.filter((held) => held.note !== note);
+        if (this.heldNotes.length === 0) this.stop();
+    }
+
+    /**
+     * Stops the arp, forgets every held note and panics the synth
+     */
+    panic() {
+        this.stop();
+        this.pressedKeys.clear();
+        this.heldNotes = [];
+        this.stepNotes.clear();
+        this.passedNotes.clear();
+        this.synth.panic();
+    }
+
+    /**
+     * Plays a key straight on the synth (arp disabled)
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     */
+    passNote(note, velocity) {
+        this.releasePassedNote(note);
+        this.passedNotes.set(note, this.synth.startNote(note, velocity));
+    }
+
+    /**
+     * Releases a key played by passNote(), if it's still held
+     * @param {number} note Midi note value
+     */
+    releasePassedNote(note) {
+        if (!this.passedNotes.has(note)) return;
+        this.synth.releaseNote(this.passedNotes.get(note));
+        this.passedNotes.delete(note);
+    }
+
+    /**
+     * Releases the voices of steps still inside their gate (and the steps scheduled ahead) now
+     * @param {boolean} [aheadOnly] only cancel the steps scheduled ahead that haven't reached their time yet
+     */
+    releaseStepNotes(aheadOnly = false) {
+        const now = this.synth.context.currentTime;
+        this.stepNotes.forEach((pending) => {
+            if (aheadOnly && pending.time <= now) return;
+            this.synth.cancelEvent(pending.event);
+            this.synth.releaseNote(pending.handle);
+            this.stepNotes.delete(pending);
+        });
+    }
+
+    // ----- Step functions ----- //
+
+    /**
+     * Returns the length of a step in seconds
+     * @return {number}
+     */
+    stepDuration() {
+        return (60 / this._bpm) * ARP_DIVISIONS[this._division];
+    }
+
+    /**
+     * Returns the steps the held notes make, each step being the notes it plays
+     * <br>* Notes are repeated an octave up for each extra octave (notes above 127 are left out)
+     * @return {{note: number, velocity: number}[][]}
+     */
+    getPattern() {
+        const base = this._mode === "as-played" ? this.heldNotes.slice() : this.heldNotes.slice().sort((a, b) => a.note - b.note);
+        const octaves = [];
+        for (let o = 0; o < this._octaves; o++) {
+            octaves.push(base.map((held) => ({note: held.note + (12 * o), velocity: held.velocity}))
+                .filter((held) => held.note <= 127));
+        }
+        if (this._mode === "chord") return octaves.filter((chord) => chord.length > 0);
+
+        const up = [].concat(...octaves);
+        switch (this._mode) {
+            case "down":
+                return up.reverse().map((held) => [held]);
+            case "up-down":
+                //the top and bottom notes aren't repeated at the turns
+                return up.concat(up.slice(1, -1).reverse()).map((held) => [held]);
+            default:
+                return up.map((held) => [held]);
+        }
+    }
+
+    /**
+     * Starts stepping from now
+     */
+    start() {
+        this.running = true;
+        this.stepIndex = 0;
+        this.gridTime = this.synth.context.currentTime;
+        const clock = this.clock;
+        this.step(clock, this.gridTime);
+    }
+
+    /**
+     * Stops stepping, notes already playing still play out their gate
+     * <br>* Steps are scheduled up to the synth's scheduleAheadTime early, the ones that haven't reached their time are cancelled
+     */
+    stop() {
+        this.running = false;
+        this.clock++;
+        this.releaseStepNotes(true);
+    }
+
+    /**
+     * Plays one step at a context time and schedules the next
+     * @param {number} clock clock the step was scheduled by, steps of a stopped run are dropped
+     * @param {number} time context time the step plays at
+     */
+    step(clock, time) {
+        if (clock !== this.clock) return;
+        const pattern = this.getPattern();
+        if (pattern.length === 0) {
+            this.stop();
+            return;
+        }
+        const notes = this._mode === "random" ? pattern[Math.floor(Math.random() * pattern.length)]
+            : pattern[this.stepIndex % pattern.length];
+        const duration = this.stepDuration();
+        notes.forEach((held) => {
+            const pending = {handle: this.synth.startNote(held.note, held.velocity, time), event: null, time: time};
+            //added before scheduling, a short gate's release can run straight away
+            this.stepNotes.add(pending);
+            pending.event = this.synth.scheduleEvent(time + (duration * this._gate), (t) => {
+                this.stepNotes.delete(pending);
+                this.synth.releaseNote(pending.handle, t);
+            });
+        });
+
+        this.stepIndex++;
+        this.gridTime += duration;
+        const next = this.gridTime + (this.stepIndex % 2 === 1 ? this._swing * duration / 2 : 0);
+        this.synth.scheduleEvent(next, (t) => this.step(clock, t));
+    }
+
+    /**
+     * Returns a copy of the arpeggiator's settings (same shape as the constructor options)
+     * @return {Object}
+     */
+    getSettings() {
+        return {
+            enabled: this._enabled, mode: this._mode, octaves: this._octaves, division: this._division,
+            bpm: this._bpm, gate: this._gate, swing: this._swing, latch: this._latch
+        };
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Turning the arp off stops it, releases its voices and plays the keys still pressed as normal notes,
+     * turning it on releases those and arpeggiates them
+     * @param {boolean} value
+     */
+    set enabled(value) {
+        value = !!value;
+        if (value === this._enabled) return;
+        this._enabled = value;
+        if (!value) {
+            this.stop();
+            this.releaseStepNotes();
+            this.heldNotes = [];
+            this.pressedKeys.forEach((velocity, note) => this.passNote(note, velocity));
+            return;
+        }
+        Array.from(this.passedNotes.keys()).forEach((note) => this.releasePassedNote(note));
+        this.heldNotes = Array.from(this.pressedKeys, ([note, velocity]) => ({note: note, velocity: velocity}));
+        if (this.heldNotes.length > 0) this.start();
+    }
+
+    get mode() {
+        return this._mode;
+    }
+
+    set mode(value) {
+        if (!ARP_MODES.includes(value)) {
+            console.log("Unknown arpeggiator mode: " + value);
+            return;
+        }
+        this._mode = value;
+    }
+
+    get octaves() {
+        return this._octaves;
+    }
+
+    set octaves(value) {
+        this._octaves = Math.min(Math.max(Math.round(value), 1), 4);
+    }
+
+    get division() {
+        return this._division;
+    }
+
+    set division(value) {
+        if (!(value in ARP_DIVISIONS)) {
+            console.log("Unknown arpeggiator division: " + value);
+            return;
+        }
+        this._division = value;
+    }
+
+    get bpm() {
+        return this._bpm;
+    }
+
+    set bpm(value) {
+        if (!(value > 0)) {
+            console.log("Arpeggiator bpm must be above 0: " + value);
+            return;
+        }
+        this._bpm = value;
+    }
+
+    get gate() {
+        return this._gate;
+    }
+
+    set gate(value) {
+        this._gate = Math.min(Math.max(value, 0.01), 1);
+    }
+
+    get swing() {
+        return this._swing;
+    }
+
+    set swing(value) {
+        this._swing = Math.min(Math.max(value, 0), 1);
+    }
+
+    get latch() {
+        return this._latch;
+    }
+
+    /**
+     * Turning latch off releases the latched notes if no keys are pressed
+     * @param {boolean} value
+     */
+    set latch(value) {
+        this._latch = !!value;
+        if (this._latch || !this._enabled) return;
+        this.heldNotes = this.heldNotes.filter((held) => this.pressedKeys.has(held.note));
+        if (this.heldNotes.length === 0) this.stop();
+    }
+}
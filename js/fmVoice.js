@@ -0,0 +1,102 @@
+/**
+ * fmVoice.js
+ * Written by Mirthe_
+ *
+ * FM operator setup for Synthesizer's "fm" oscType
+ * * 2-4 sine operators, each with a ratio (or fixed frequency), level envelope and feedback
+ * * FM_ALGORITHMS list which operators modulate which, and which are heard (carriers)
+ * * Operator frequencies follow the voice's masterFreq, so glide/pitch changes move the whole voice
+ */
+
+/**
+ * Operator connection layouts, operators are numbered from 0 (0 is always a carrier)
+ * <br>links: [modulator, target] pairs, links/carriers using operators the voice doesn't have are ignored
+ * @type {Object<string, {carriers: number[], links: number[][]}>}
+ */
+export const FM_ALGORITHMS = {
+    "stack": {carriers: [0], links: [[3, 2], [2, 1], [1, 0]]},
+    "two-stacks": {carriers: [0, 2], links: [[1, 0], [3, 2]]},
+    "three-to-one": {carriers: [0], links: [[1, 0], [2, 0], [3, 0]]},
+    "branch": {carriers: [0], links: [[3, 2], [2, 0], [1, 0]]},
+    "one-to-three": {carriers: [0, 1, 2], links: [[3, 0], [3, 1], [3, 2]]},
+    "stack-plus-carriers": {carriers: [0, 2, 3], links: [[1, 0]]},
+    "additive": {carriers: [0, 1, 2, 3], links: []}
+};
+
+/** modulation index of a modulator at level 1 (frequency deviation = index * modulator frequency) */
+export const FM_MAX_INDEX = 8;
+
+/**
+ * Settings of a new operator, missing keys in Synthesizer.fmOperators fall back to these
+ * <br>fixed: frequency in hz to play at regardless of note, 0 uses ratio
+ * <br>attack/decay/release: ms, sustain: 0-1 of level, feedback: 0-1 of the operator's own index
+ * @type {{ratio: number, fixed: number, level: number, attack: number, decay: number, sustain: number, release: number, feedback: number}}
+ */
+export const FM_DEFAULT_OPERATOR = {ratio: 1, fixed: 0, level: 1, attack: 5, decay: 200, sustain: 1, release: 200, feedback: 0};
+
+/**
+ * Creates the operators of an "fm" soundOscillator and connects them by algorithm
+ * <br>* Each operator is osc -> envNode (level envelope) -> deviation (hz) -> modulated frequencies/feedback
+ * <br>* Carriers also go envNode -> carrier mix -> soundOscillator.gainNode
+ * <br>* Operator oscillators are pushed to soundOscillator.oscillators, so they start/stop/detune with the voice
+ * <br>* Every node is registered with o.addNode(), so it's disposed with the voice
+ * @param {SoundOscillator} o soundOscillator with masterFreq set to the note frequency (nodes are made on o.context)
+ * @param {Object[]} operators operator settings (see FM_DEFAULT_OPERATOR)
+ * @param {string} algorithm key of FM_ALGORITHMS
+ */
+export function createFMOperators(o, operators, algorithm) {
+    const layout = FM_ALGORITHMS[algorithm] || FM_ALGORITHMS["stack"];
+    const count = operators.length;
+    let carriers = layout.carriers.filter((i) => i < count);
+    if (carriers.length === 0) carriers = [0];
+    const carrierMix = o.addNode(new GainNode(o.context, {gain: 1 / carriers.length}));
+    carrierMix.connect(o.gainNode);
+
+    o.operators = operators.map((settings) => {
+        settings = Object.assign({}, FM_DEFAULT_OPERATOR, settings);
+        const op = {
+            settings: settings,
+            osc: o.addNode(new OscillatorNode(o.context, {frequency: 0})),
+            ratioNode: o.addNode(new GainNode(o.context, {gain: settings.ratio})),
+            envNode: o.addNode(new GainNode(o.context, {gain: 0})),
+            deviation: o.addNode(new GainNode(o.context, {gain: 0})),
+            indexNode: o.addNode(new GainNode(o.context, {gain: settings.ratio * FM_MAX_INDEX})),
+            feedbackNode: o.addNode(new GainNode(o.context, {gain: settings.feedback})),
+            feedbackDelay: o.addNode(new DelayNode(o.context, {delayTime: 0}))
+        };
+        //masterFreq -> ratioNode sets the operator frequency, masterFreq -> indexNode scales its deviation to match
+        o.masterFreq.connect(op.ratioNode);
+        o.masterFreq.connect(op.indexNode);
+        op.indexNode.connect(op.deviation.gain);
+        setFMOperatorFrequency(op);
+
+        op.osc.connect(op.envNode);
+        op.envNode.connect(op.deviation);
+        //feedback needs a delay to be allowed in the graph (one render quantum)
+        op.deviation.connect(op.feedbackNode);
+        op.feedbackNode.connect(op.feedbackDelay);
+        op.feedbackDelay.connect(op.osc.frequency);
+        o.oscillators.push(op.osc);
+        return op;
+    });
+
+    layout.links.forEach(([from, to]) => {
+        if (from < count && to < count) o.operators[from].deviation.connect(o.operators[to].osc.frequency);
+    });
+    carriers.forEach((i) => o.operators[i].envNode.connect(carrierMix));
+}
+
+/**
+ * Switches an operator between following masterFreq by ratio and playing its fixed frequency
+ * @param {{settings: Object, osc: OscillatorNode, ratioNode: GainNode, indexNode: GainNode}} op
+ */
+export function setFMOperatorFrequency(op) {
+    const fixed = op.settings.fixed > 0;
+    op.ratioNode.disconnect();
+    op.ratioNode.gain.value = op.settings.ratio;
+    op.indexNode.gain.value = fixed ? 0 : op.settings.ratio * FM_MAX_INDEX;
+    //fixed operators get their deviation from a constant gain instead of the masterFreq connection
+    op.deviation.gain.value = fixed ? op.settings.fixed * FM_MAX_INDEX : 0;
+    op.osc.frequency.value = fixed ? op.settings.fixed : 0;
+    if (!fixed) op.ratioNode.connect(op.osc.frequency);
+}
@@ -0,0 +1,370 @@
+/**
+ * keyboard.js
+ * Written by Mirthe_
+ *
+ * On-screen piano keyboard that plays a Synthesizer (or anything with its noteOn/noteOff, ie. an Arpeggiator)
+ * * Mouse, touch and pen all use pointer events, dragging across keys glides from note to note
+ * * The computer keyboard plays too (QWERTY_LAYOUT, Z/X shift the octave)
+ * * Every noteOn is paired with exactly one noteOff: each pointer/key remembers the note it started,
+ * and losing focus releases everything, so no voice is left in the synth's noteOnList
+ * * A Synthesizer is played by voice handle (see Synthesizer.startNote), so other inputs playing the same notes
+ * (ie. a Sequencer) keep their voices; anything else gets one noteOn/noteOff per note, however many pointers/keys hold it
+ */
+
+/**
+ * KeyboardEvent.code of each computer key mapped to its semitone above the keyboard's qwertyNote
+ * <br>* Codes are physical key positions, so other layouts (AZERTY, Dvorak) play from the same places
+ * @type {Object<string, number>}
+ */
+export const QWERTY_LAYOUT = {
+    KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11,
+    KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16, Quote: 17
+};
+
+/** KeyboardEvent.code of the octave down/up keys */
+const OCTAVE_DOWN_KEY = "KeyZ";
+const OCTAVE_UP_KEY = "KeyX";
+
+/** semitones of an octave that are black keys */
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+/** key sizes in pixels */
+const WHITE_KEY_WIDTH = 24;
+const BLACK_KEY_WIDTH = 16;
+const KEY_HEIGHT = 120;
+
+/**
+ * Returns true if a key event goes to a text field, where typing shouldn't play notes
+ * @param {EventTarget} target
+ * @return {boolean}
+ */
+function isTyping(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable || target.tagName === "TEXTAREA" || target.tagName === "SELECT") return true;
+    return target.tagName === "INPUT" && !["button", "checkbox", "radio", "range", "file"].includes(target.type);
+}
+
+export class PianoKeyboard {
+    /**
+     * Piano keyboard playing a Synthesizer, call attach() to put it on the page
+     * @param {Synthesizer|Arpeggiator} synth anything with noteOn(note, velocity)/noteOff(note)
+     * @param {Object} [options] initial values for any of the keyboard's setters (ie. {lowNote: 36, highNote: 84})
+     * @constructor
+     */
+    constructor(synth, options = {}) {
+        /** @type {Synthesizer|Arpeggiator} */
+        this.synth = synth;
+
+        /** lowest midi note on screen */
+        this._lowNote = 48;
+        /** highest midi note on screen */
+        this._highNote = 72;
+        /** midi note the A key plays before octave shifting */
+        this._qwertyNote = 60;
+        /** octaves the computer keyboard is shifted by (Z/X) */
+        this._octave = 0;
+        /** velocity every key plays at (0-127) */
+        this._velocity = 100;
+        /** play from the computer keyboard */
+        this._qwerty = true;
+
+        /**
+         * Note each pointer ("pointer:{id}") or computer key ("key:{code}") is holding
+         * @type {Map<string, number>}
+         */
+        this.activeNotes = new Map();
+
+        /**
+         * Voice handle of each pointer/key's note, when the synth has startNote/releaseNote
+         * @type {Map<string, Object>}
+         */
+        this.noteHandles = new Map();
+
+        /**
+         * Pointers pressed down on the keyboard, they play whichever key they move onto
+         * @type {Set<number>}
+         */
+        this.pointers = new Set();
+
+        /**
+         * Element of each key on screen, mapped by midi note
+         * @type {Map<number, HTMLElement>}
+         */
+        this.keyElements = new Map();
+
+        /** @type {HTMLElement|null} */
+        this.element = null;
+
+        /**
+         * Listeners added by attach(), as [target, event, listener]
+         * @type {Array}
+         */
+        this.listeners = [];
+
+        for (let key in options) this[key] = options[key];
+    }
+
+    // ----- Note functions ----- //
+
+    /**
+     * Plays a note from a pointer or computer key, releasing the note it held before (glissando)
+     * @param {string} source "pointer:{id}" or "key:{code}"
+     * @param {number} note Midi note value
+     */
+    press(source, note) {
+        if (this.activeNotes.get(source) === note) return;
+        this.release(source);
+        if (note < 0 || note > 127) return;
+        const held = this.isHeld(note);
+        this.activeNotes.set(source, note);
+        if (this.synth.startNote) this.noteHandles.set(source, this.synth.startNote(note, this._velocity));
+        else if (!held) this.synth.noteOn(note, this._velocity);
+        this.showKey(note);
+    }
+
+    /**
+     * Releases the note a pointer or computer key is holding, if any
+     * @param {string} source
+     */
+    release(source) {
+        if (!this.activeNotes.has(source)) return;
+        const note = this.activeNotes.get(source);
+        this.activeNotes.delete(source);
+        if (this.noteHandles.has(source)) {
+            this.synth.releaseNote(this.noteHandles.get(source));
+            this.noteHandles.delete(source);
+        }
+        //the note is let go once the last pointer/key holding it is
+        else if (!this.isHeld(note)) this.synth.noteOff(note);
+        this.showKey(note);
+    }
+
+    /**
+     * Releases every note held by the keyboard (ie. when the window loses focus and keyups would be missed)
+     */
+    releaseAll() {
+        this.pointers.clear();
+        Array.from(this.activeNotes.keys()).forEach((source) => this.release(source));
+    }
+
+    /**
+     * Returns true if any pointer or key holds a note
+     * @param {number} note
+     * @return {boolean}
+     */
+    isHeld(note) {
+        return Array.from(this.activeNotes.values()).includes(note);
+    }
+
+    // ----- Page functions ----- //
+
+    /**
+     * Puts the keyboard on the page and starts listening for pointers/keys
+     * @param {HTMLElement} parent element the keyboard is appended to
+     * @return {HTMLElement} the keyboard's element
+     */
+    attach(parent) {
+        if (this.element) this.detach();
+        this.element = document.createElement("div");
+        this.element.className = "pianoKeyboard";
+        //touch-action none stops touches from scrolling the page instead of gliding across keys
+        Object.assign(this.element.style, {position: "relative", height: KEY_HEIGHT + "px", touchAction: "none", userSelect: "none"});
+        this.buildKeys();
+        parent.appendChild(this.element);
+
+        this.listen(this.element, "pointerdown", (e) => this.onPointerDown(e));
+        this.listen(this.element, "pointermove", (e) => this.onPointerMove(e));
+        ["pointerup", "pointercancel", "lostpointercapture"].forEach((type) => {
+            this.listen(this.element, type, (e) => {
+                this.pointers.delete(e.pointerId);
+                this.release("pointer:" + e.pointerId);
+            });
+        });
+        this.listen(window, "keydown", (e) => this.onKeyDown(e));
+        this.listen(window, "keyup", (e) => this.release("key:" + e.code));
+        this.listen(window, "blur", () => this.releaseAll());
+        this.listen(document, "visibilitychange", () => {
+            if (document.hidden) this.releaseAll();
+        });
+        return this.element;
+    }
+
+    /**
+     * Releases every held note, removes the keyboard from the page and stops listening
+     */
+    detach() {
+        this.releaseAll();
+        this.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+        this.listeners = [];
+        if (this.element) this.element.remove();
+        this.element = null;
+        this.keyElements.clear();
+    }
+
+    /**
+     * Adds an event listener that detach() removes
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {function(Event)} listener
+     */
+    listen(target, type, listener) {
+        target.addEventListener(type, listener);
+        this.listeners.push([target, type, listener]);
+    }
+
+    /**
+     * Creates the key elements for lowNote-highNote, white keys side by side with black keys on top
+     */
+    buildKeys() {
+        this.keyElements.forEach((key) => key.remove());
+        this.keyElements.clear();
+        let whiteCount = 0;
+        //the range is set one end at a time, so it may be upside down for a moment
+        const last = Math.max(this._lowNote, this._highNote);
+        for (let note = Math.min(this._lowNote, this._highNote); note <= last; note++) {
+            const key = document.createElement("div");
+            const black = BLACK_KEYS.includes(note % 12);
+            key.dataset.note = note;
+            Object.assign(key.style, {position: "absolute", top: "0", boxSizing: "border-box", border: "1px solid #000"});
+            if (black) {
+                Object.assign(key.style, {
+                    left: ((whiteCount * WHITE_KEY_WIDTH) - (BLACK_KEY_WIDTH / 2)) + "px", width: BLACK_KEY_WIDTH + "px",
+                    height: (KEY_HEIGHT * 0.6) + "px", zIndex: "1"
+                });
+            }
+            else {
+                Object.assign(key.style, {left: (whiteCount * WHITE_KEY_WIDTH) + "px", width: WHITE_KEY_WIDTH + "px", height: KEY_HEIGHT + "px"});
+                whiteCount++;
+            }
+            this.keyElements.set(note, key);
+            this.showKey(note);
+            this.element.appendChild(key);
+        }
+        this.element.style.width = (whiteCount * WHITE_KEY_WIDTH) + "px";
+    }
+
+    /**
+     * Colors a key on screen as held or not
+     * @param {number} note
+     */
+    showKey(note) {
+        const key = this.keyElements.get(note);
+        if (!key) return;
+        const black = BLACK_KEYS.includes(note % 12);
+        key.style.background = this.isHeld(note) ? "#4a90d9" : (black ? "#000" : "#fff");
+    }
+
+    /**
+     * Returns the midi note of the key at a point on the page, or null if there's no key there
+     * @param {number} x clientX
+     * @param {number} y clientY
+     * @return {number|null}
+     */
+    noteAt(x, y) {
+        const target = document.elementFromPoint(x, y);
+        if (!target || target.parentElement !== this.element || target.dataset.note === undefined) return null;
+        return parseInt(target.dataset.note);
+    }
+
+    onPointerDown(e) {
+        if (e.button !== 0) return;
+        const note = this.noteAt(e.clientX, e.clientY);
+        if (note === null) return;
+        //capturing keeps the pointer's move/up events coming here after it leaves the keyboard
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.add(e.pointerId);
+        this.press("pointer:" + e.pointerId, note);
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        const source = "pointer:" + e.pointerId;
+        const note = this.noteAt(e.clientX, e.clientY);
+        //sliding off the keyboard lets go of the note, sliding back on plays again
+        if (note === null) this.release(source);
+        else this.press(source, note);
+    }
+
+    onKeyDown(e) {
+        if (!this._qwerty || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTyping(e.target)) return;
+        if (e.code === OCTAVE_DOWN_KEY || e.code === OCTAVE_UP_KEY) {
+            this.octave += e.code === OCTAVE_UP_KEY ? 1 : -1;
+            return;
+        }
+        if (!(e.code in QWERTY_LAYOUT)) return;
+        this.press("key:" + e.code, this._qwertyNote + (this._octave * 12) + QWERTY_LAYOUT[e.code]);
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    get lowNote() {
+        return this._lowNote;
+    }
+
+    set lowNote(value) {
+        if (isNaN(parseInt(value))) {
+            console.log("Unknown keyboard note: " + value);
+            return;
+        }
+        this._lowNote = Math.min(Math.max(parseInt(value), 0), 127);
+        if (this.element) this.buildKeys();
+    }
+
+    get highNote() {
+        return this._highNote;
+    }
+
+    set highNote(value) {
+        if (isNaN(parseInt(value))) {
+            console.log("Unknown keyboard note: " + value);
+            return;
+        }
+        this._highNote = Math.min(Math.max(parseInt(value), 0), 127);
+        if (this.element) this.buildKeys();
+    }
+
+    get qwertyNote() {
+        return this._qwertyNote;
+    }
+
+    set qwertyNote(value) {
+        this._qwertyNote = Math.min(Math.max(parseInt(value), 0), 127);
+    }
+
+    get octave() {
+        return this._octave;
+    }
+
+    /**
+     * Held computer keys keep the note they started, the shift applies to the next keys pressed
+     * @param {number} value
+     */
+    set octave(value) {
+        this._octave = Math.min(Math.max(Math.round(value), -4), 4);
+    }
+
+    get velocity() {
+        return this._velocity;
+    }
+
+    set velocity(value) {
+        this._velocity = Math.min(Math.max(value, 1), 127);
+    }
+
+    get qwerty() {
+        return this._qwerty;
+    }
+
+    /**
+     * Turning the computer keyboard off releases the notes its keys hold
+     * @param {boolean} value
+     */
+    set qwerty(value) {
+        this._qwerty = !!value;
+        if (this._qwerty) return;
+        Array.from(this.activeNotes.keys()).filter((source) => source.startsWith("key:")).forEach((source) => this.release(source));
+    }
+}
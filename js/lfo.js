@@ -0,0 +1,421 @@
+/**
+ * lfo.js
+ * Written by Mirthe_
+ *
+ * LFO class for modulating Synthesizer voices over time
+ * * Shapes are looped single cycle AudioBuffers, so phase is just a start offset and rate a playbackRate
+ * * "free" LFOs share one running source, "retrigger" LFOs start a new source on every voice
+ * * Every parameter change is applied to the voices the LFO is already connected to
+ * * An LFO runs on the context of the Synthesizer it's added to (see Synthesizer.addLfo)
+ */
+
+/** @type {string[]} */
+export const LFO_SHAPES = ["sine", "triangle", "square", "sawtooth", "sample-hold"];
+
+/**
+ * Modulation targets and their units
+ * <br>pitch: cents, gain: 0-1 tremolo amount, cutoff: cents, q: Q value, pan: -1 to 1,
+ * position: 0-1 wavetable position of "custom" slots
+ * @type {string[]}
+ */
+export const LFO_TARGETS = ["pitch", "gain", "cutoff", "q", "pan", "position"];
+
+/** samples in one cycle of an LFO shape buffer */
+export const LFO_CYCLE_LENGTH = 1024;
+
+/** random steps in a sample-hold buffer before it loops */
+export const LFO_HOLD_STEPS = 64;
+
+export class LFO {
+    /**
+     * Low frequency oscillator routable to a voice's pitch, gain, filter cutoff/Q, pan and wavetable position
+     * @param {Object} [options] initial values for any of the LFO's setters (ie. {shape: "triangle", rate: 2})
+     * @constructor
+     */
+    constructor(options = {}) {
+        /** @type {"sine" | "triangle" | "square" | "sawtooth" | "sample-hold"} */
+        this._shape = "sine";
+        /** cycles (or sample-hold steps) per second */
+        this._rate = 5;
+        /** master amount 0-1, scales every route */
+        this._depth = 1;
+        /** start phase 0-1 (used when the source starts) */
+        this._phase = 0;
+        /** ms after noteOn before the LFO fades in */
+        this._delay = 0;
+        /** fade in time in ms */
+        this._fade = 0;
+        /** @type {"free" | "retrigger"} */
+        this._mode = "free";
+
+        /**
+         * Modulation amount per target (see LFO_TARGETS for units), 0 is off
+         * @type {{pitch: number, gain: number, cutoff: number, q: number, pan: number, position: number}}
+         */
+        this._routes = {pitch: 0, gain: 0, cutoff: 0, q: 0, pan: 0, position: 0};
+
+        /** @type {BaseAudioContext|null} context the LFO's nodes are made on, set by Synthesizer.addLfo */
+        this.context = null;
+
+        /** @type {AudioBuffer|null} looped shape buffer, rebuilt on shape change */
+        this.buffer = null;
+
+        /** @type {AudioBufferSourceNode|null} shared source for "free" mode */
+        this.source = null;
+
+        /**
+         * Nodes made for each connected voice
+         * @type {Map<SoundOscillator, {source: AudioBufferSourceNode, fade: GainNode, routes: Object<string, GainNode>}>}
+         */
+        this.voiceNodes = new Map();
+
+        for (let key in options) {
+            if (key === "routes") Object.keys(options.routes).forEach((t) => this.setRoute(t, options.routes[t]));
+            else this[key] = options[key];
+        }
+    }
+
+    // ----- Source functions ----- //
+
+    /**
+     * Returns the value of the LFO's shape at a point in its cycle
+     * @param {number} x position in the cycle 0-1
+     * @return {number} -1 to 1
+     */
+    shapeValue(x) {
+        switch (this._shape) {
+            case "triangle":
+                return 1 - 4 * Math.abs(((x + 0.25) % 1) - 0.5);
+            case "square":
+                return x < 0.5 ? 1 : -1;
+            case "sawtooth":
+                return 2 * ((x + 0.5) % 1) - 1;
+            default:
+                return Math.sin(2 * Math.PI * x);
+        }
+    }
+
+    /**
+     * Returns the number of cycles (or hold steps) in the shape buffer
+     * @return {number}
+     */
+    bufferCycles() {
+        return this._shape === "sample-hold" ? LFO_HOLD_STEPS : 1;
+    }
+
+    /**
+     * Returns the shape buffer, building it if needed
+     * <br>* sample-hold buffers hold LFO_HOLD_STEPS random values for LFO_CYCLE_LENGTH/16 samples each
+     * @return {AudioBuffer}
+     */
+    getBuffer() {
+        if (this.buffer) return this.buffer;
+        const hold = this._shape === "sample-hold";
+        const stepLength = hold ? LFO_CYCLE_LENGTH / 16 : LFO_CYCLE_LENGTH;
+        const length = stepLength * this.bufferCycles();
+        this.buffer = new AudioBuffer({length: length, sampleRate: this.context.sampleRate, numberOfChannels: 1});
+        const data = this.buffer.getChannelData(0);
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            if (hold) {
+                if (i % stepLength === 0) value = Math.random() * 2 - 1;
+                data[i] = value;
+            }
+            else data[i] = this.shapeValue(i / length);
+        }
+        return this.buffer;
+    }
+
+    /**
+     * Returns the playbackRate that loops the shape buffer at this.rate cycles per second
+     * @return {number}
+     */
+    playbackRate() {
+        return this._rate * this.getBuffer().duration / this.bufferCycles();
+    }
+
+    /**
+     * Creates and starts a looping source of the LFO's shape at its phase
+     * @param {number} [time] context time the source starts at
+     * @return {AudioBufferSourceNode}
+     */
+    createSource(time = this.context.currentTime) {
+        const buffer = this.getBuffer();
+        const source = new AudioBufferSourceNode(this.context, {buffer: buffer, loop: true});
+        source.playbackRate.value = this.playbackRate();
+        source.start(time, this._phase * buffer.duration / this.bufferCycles());
+        return source;
+    }
+
+    /**
+     * Returns the shared "free" mode source, starting it if needed
+     * @return {AudioBufferSourceNode}
+     */
+    getFreeSource() {
+        if (!this.source) this.source = this.createSource();
+        return this.source;
+    }
+
+    /**
+     * Stops the LFO's sources and reconnects its voices to new ones
+     * <br>* Used when the shape or mode changes (a buffer can't be swapped on a playing source)
+     * <br>* Voices keep their fade in progress
+     */
+    restartSources() {
+        const oldSource = this.source;
+        this.source = null;
+        this.voiceNodes.forEach((nodes) => {
+            nodes.source.disconnect(nodes.fade);
+            if (nodes.source !== oldSource) nodes.source.stop(0);
+            nodes.source = this._mode === "retrigger" ? this.createSource() : this.getFreeSource();
+            nodes.source.connect(nodes.fade);
+        });
+        if (oldSource) oldSource.stop(0);
+    }
+
+    // ----- Voice functions ----- //
+
+    /**
+     * Returns the AudioParams of a voice that a target modulates
+     * @param {SoundOscillator} soundOscillator
+     * @param {string} target one of LFO_TARGETS
+     * @return {AudioParam[]}
+     */
+    static targetParams(soundOscillator, target) {
+        switch (target) {
+            case "pitch":
+                return soundOscillator.oscillators.map((osc) => osc.detune);
+            case "gain":
+                return [soundOscillator.ampNode.gain];
+            case "cutoff":
+                return [soundOscillator.filterNode.detune];
+            case "q":
+                return [soundOscillator.filterNode.Q];
+            case "pan":
+                return [soundOscillator.panNode.pan];
+            case "position":
+                return soundOscillator.positionNode ? [soundOscillator.positionNode.offset] : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Returns the gain a route's node should have (its modulation amplitude)
+     * <br>* gain swings half the amount either way around the voice's lowered ampNode base (see refreshTremolo)
+     * @param {string} target
+     * @return {number}
+     */
+    routeGain(target) {
+        let amount = this._routes[target] * this._depth;
+        return target === "gain" ? amount / 2 : amount;
+    }
+
+    /**
+     * Connects the LFO to a voice
+     * <br>* Fades in after this.delay over this.fade milliseconds
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the voice starts at, the delay/fade/retrigger phase count from it
+     */
+    connectVoice(soundOscillator, time = this.context.currentTime) {
+        if (this.voiceNodes.has(soundOscillator)) return;
+        const source = this._mode === "retrigger" ? this.createSource(time) : this.getFreeSource();
+        const fade = new GainNode(this.context, {gain: 0});
+        const fadeStart = time + (this._delay / 1000);
+        fade.gain.setValueAtTime(0, time);
+        if (this._fade > 0) {
+            fade.gain.setValueAtTime(0, fadeStart);
+            fade.gain.linearRampToValueAtTime(1, fadeStart + (this._fade / 1000));
+        }
+        else fade.gain.setValueAtTime(1, fadeStart);
+        source.connect(fade);
+
+        const nodes = {source: source, fade: fade, routes: {}};
+        this.voiceNodes.set(soundOscillator, nodes);
+        LFO_TARGETS.forEach((target) => {
+            if (this._routes[target] !== 0) this.connectRoute(soundOscillator, target);
+        });
+    }
+
+    /**
+     * Connects a route node for a target on a voice, or updates its amount if it exists
+     * @param {SoundOscillator} soundOscillator
+     * @param {string} target
+     */
+    connectRoute(soundOscillator, target) {
+        const nodes = this.voiceNodes.get(soundOscillator);
+        if (!nodes) return;
+        if (!nodes.routes[target]) {
+            nodes.routes[target] = new GainNode(this.context, {gain: this.routeGain(target)});
+            nodes.fade.connect(nodes.routes[target]);
+            LFO.targetParams(soundOscillator, target).forEach((param) => nodes.routes[target].connect(param));
+        }
+        else nodes.routes[target].gain.value = this.routeGain(target);
+        if (target === "gain") this.refreshTremolo(soundOscillator);
+    }
+
+    /**
+     * Lowers a voice's ampNode base gain so tremolo swings below unity instead of around it
+     * <br>* Each LFO keeps its share in soundOscillator.tremoloDepths so several can stack
+     * @param {SoundOscillator} soundOscillator
+     */
+    refreshTremolo(soundOscillator) {
+        if (this.voiceNodes.has(soundOscillator)) soundOscillator.tremoloDepths.set(this, this.routeGain("gain"));
+        else soundOscillator.tremoloDepths.delete(this);
+        let total = 0;
+        soundOscillator.tremoloDepths.forEach((depth) => {total += depth});
+        soundOscillator.ampNode.gain.value = Math.max(1 - total, 0);
+    }
+
+    /**
+     * Disconnects the LFO from a voice
+     * @param {SoundOscillator} soundOscillator
+     */
+    disconnectVoice(soundOscillator) {
+        const nodes = this.voiceNodes.get(soundOscillator);
+        if (!nodes) return;
+        this.voiceNodes.delete(soundOscillator);
+        nodes.source.disconnect(nodes.fade);
+        if (nodes.source !== this.source) nodes.source.stop(0);
+        nodes.fade.disconnect();
+        for (let target in nodes.routes) nodes.routes[target].disconnect();
+        if (nodes.routes.gain) this.refreshTremolo(soundOscillator);
+    }
+
+    /**
+     * Reconnects a voice's route nodes to its current target params
+     * <br>* Used when a playing voice gains or loses oscillators (ie. a live unison voices change)
+     * @param {SoundOscillator} soundOscillator
+     */
+    refreshTargets(soundOscillator) {
+        const nodes = this.voiceNodes.get(soundOscillator);
+        if (!nodes) return;
+        for (let target in nodes.routes) {
+            nodes.routes[target].disconnect();
+            LFO.targetParams(soundOscillator, target).forEach((param) => nodes.routes[target].connect(param));
+        }
+    }
+
+    /**
+     * Restarts a voice's fade in (and source in "retrigger" mode), ie. for mono note changes
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time to retrigger at
+     */
+    retriggerVoice(soundOscillator, time = this.context.currentTime) {
+        if (!this.voiceNodes.has(soundOscillator)) return;
+        this.disconnectVoice(soundOscillator);
+        this.connectVoice(soundOscillator, time);
+    }
+
+    /**
+     * Disconnects every voice and stops the LFO's sources
+     */
+    dispose() {
+        Array.from(this.voiceNodes.keys()).forEach((soundOscillator) => this.disconnectVoice(soundOscillator));
+        if (this.source) {
+            this.source.stop(0);
+            this.source = null;
+        }
+    }
+
+    /**
+     * Sets the modulation amount for a target, applied live to connected voices
+     * @param {string} target one of LFO_TARGETS
+     * @param {number} amount see LFO_TARGETS for units, 0 is off
+     */
+    setRoute(target, amount) {
+        if (!LFO_TARGETS.includes(target)) {
+            console.log("Unknown LFO target: " + target);
+            return;
+        }
+        this._routes[target] = amount;
+        this.voiceNodes.forEach((nodes, soundOscillator) => this.connectRoute(soundOscillator, target));
+    }
+
+    /**
+     * Returns a copy of the LFO's settings (same shape as the constructor options)
+     * @return {Object}
+     */
+    getSettings() {
+        return {
+            shape: this._shape, rate: this._rate, depth: this._depth, phase: this._phase,
+            delay: this._delay, fade: this._fade, mode: this._mode, routes: Object.assign({}, this._routes)
+        };
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    get shape() {
+        return this._shape;
+    }
+
+    set shape(value) {
+        if (!LFO_SHAPES.includes(value)) {
+            console.log("Unknown LFO shape: " + value);
+            return;
+        }
+        this._shape = value;
+        this.buffer = null;
+        this.restartSources();
+    }
+
+    get rate() {
+        return this._rate;
+    }
+
+    set rate(value) {
+        this._rate = value;
+        if (this.source) this.source.playbackRate.value = this.playbackRate();
+        this.voiceNodes.forEach((nodes) => {nodes.source.playbackRate.value = this.playbackRate()});
+    }
+
+    get depth() {
+        return this._depth;
+    }
+
+    set depth(value) {
+        this._depth = value;
+        this.voiceNodes.forEach((nodes, soundOscillator) => {
+            for (let target in nodes.routes) this.connectRoute(soundOscillator, target);
+        });
+    }
+
+    get phase() {
+        return this._phase;
+    }
+
+    set phase(value) {
+        this._phase = value;
+    }
+
+    get delay() {
+        return this._delay;
+    }
+
+    set delay(value) {
+        this._delay = value;
+    }
+
+    get fade() {
+        return this._fade;
+    }
+
+    set fade(value) {
+        this._fade = value;
+    }
+
+    get mode() {
+        return this._mode;
+    }
+
+    set mode(value) {
+        this._mode = value;
+        this.restartSources();
+    }
+
+    get routes() {
+        return Object.assign({}, this._routes);
+    }
+}
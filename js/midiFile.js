@@ -0,0 +1,417 @@
+/**
+ * midiFile.js
+ * Written by Mirthe_
+ *
+ * Standard MIDI File parsing and playback
+ * * parseMidiFile() reads format 0 and 1 files from an ArrayBuffer into one time-ordered event list (times in seconds)
+ * * MidiFilePlayer plays that event list through one or more Synthesizers, with channels assigned to each synth
+ * * Events are scheduled on the synths' audio clock (see Synthesizer.scheduleEvent), so the player works the same
+ * on an OfflineAudioContext (see renderMidiFile in offlineRenderer.js)
+ *
+ * Channels are numbered 1-16 like on hardware, channel events use the same types as parseMidiMessage()
+ */
+
+import {parseMidiMessage} from "./midiInput.js";
+
+/** seconds of the file dispatched to the synths at a time */
+const CHUNK_TIME = 0.25;
+
+/**
+ * Parses a Standard MIDI File
+ * <br>* Channel events (noteon, noteoff, controlchange, ...) and tempo changes are kept, other meta and sysex events are skipped
+ * <br>* Tracks are merged into events, sorted by tick (events at the same tick keep their track order)
+ * <br>* The tempo map holds every tempo change with its time, the file starts at 120 bpm until the first one
+ * @param {ArrayBuffer} buffer contents of a .mid file
+ * @return {{format: number, ticksPerBeat: number|null, ticksPerSecond: number|null,
+ * tracks: {name: string, events: Object[]}[],
+ * events: {tick: number, time: number, track: number, type: string, channel?: number, data1?: number, data2?: number, bpm?: number}[],
+ * tempoMap: {tick: number, time: number, bpm: number}[], duration: number}}
+ * ticksPerBeat for metrical timing, ticksPerSecond for SMPTE timing (the other is null), duration in seconds
+ */
+export function parseMidiFile(buffer) {
+    const view = new DataView(buffer);
+    const readString = (offset) => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3));
+    if (view.byteLength < 14 || readString(0) !== "MThd") throw new Error("Not a Standard MIDI File");
+
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (format > 1) throw new Error("Unsupported MIDI file format: " + format);
+
+    let ticksPerBeat = null;
+    let ticksPerSecond = null;
+    //SMPTE timing has negative frames per second in the top byte
+    if (division & 0x8000) ticksPerSecond = (256 - (division >> 8)) * (division & 0xFF);
+    else ticksPerBeat = division;
+
+    const tracks = [];
+    let offset = 8 + headerLength;
+    while (tracks.length < trackCount && offset + 8 <= view.byteLength) {
+        const id = readString(offset);
+        const length = view.getUint32(offset + 4);
+        offset += 8;
+        if (offset + length > view.byteLength) throw new Error("MIDI file track " + tracks.length + " is cut off");
+        //unknown chunks are skipped
+        if (id === "MTrk") tracks.push(parseTrack(new Uint8Array(buffer, offset, length), tracks.length));
+        offset += length;
+    }
+    if (tracks.length < trackCount) throw new Error("MIDI file has " + tracks.length + " of " + trackCount + " tracks");
+
+    const events = [].concat(...tracks.map((track) => track.events)).sort((a, b) => a.tick - b.tick);
+
+    //tempo changes are global, in format 1 they're usually all on the first track
+    const tempoMap = [{tick: 0, time: 0, bpm: 120}];
+    const tickToTime = (tick) => {
+        if (ticksPerSecond !== null) return tick / ticksPerSecond;
+        const tempo = tempoMap[tempoMap.length - 1];
+        return tempo.time + ((tick - tempo.tick) * 60 / (tempo.bpm * ticksPerBeat));
+    };
+    events.forEach((event) => {
+        event.time = tickToTime(event.tick);
+        if (event.type !== "tempo" || ticksPerSecond !== null) return;
+        if (tempoMap[tempoMap.length - 1].tick === event.tick) tempoMap.pop();
+        tempoMap.push({tick: event.tick, time: event.time, bpm: event.bpm});
+    });
+
+    const lastTick = tracks.reduce((last, track) => Math.max(last, track.endTick), 0);
+    return {
+        format: format, ticksPerBeat: ticksPerBeat, ticksPerSecond: ticksPerSecond,
+        tracks: tracks.map((track) => ({name: track.name, events: track.events})),
+        events: events, tempoMap: tempoMap, duration: tickToTime(lastTick)
+    };
+}
+
+/**
+ * Parses the events of one MTrk chunk
+ * @param {Uint8Array} data chunk data
+ * @param {number} trackIndex
+ * @return {{name: string, events: Object[], endTick: number}}
+ */
+function parseTrack(data, trackIndex) {
+    const events = [];
+    let name = "";
+    let tick = 0;
+    let status = 0;
+    let i = 0;
+    const readLength = () => {
+        let value = 0;
+        let byte;
+        do {
+            if (i >= data.length) throw new Error("MIDI file track " + trackIndex + " ends inside an event");
+            byte = data[i++];
+            value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        return value;
+    };
+
+    while (i < data.length) {
+        tick += readLength();
+        if (i >= data.length) break;
+        let byte = data[i];
+        if (byte === 0xFF) {
+            const type = data[i + 1];
+            i += 2;
+            const length = readLength();
+            const meta = data.subarray(i, i + length);
+            i += length;
+            //meta and sysex events cancel running status
+            status = 0;
+            if (type === 0x2F) break;
+            if (type === 0x03) name = String.fromCharCode(...meta);
+            if (type === 0x51 && length === 3) {
+                const microsecondsPerBeat = (meta[0] << 16) | (meta[1] << 8) | meta[2];
+                events.push({tick: tick, track: trackIndex, type: "tempo", bpm: 60000000 / microsecondsPerBeat});
+            }
+            continue;
+        }
+        if (byte === 0xF0 || byte === 0xF7) {
+            i++;
+            const length = readLength();
+            i += length;
+            status = 0;
+            continue;
+        }
+        if (byte & 0x80) {
+            status = byte;
+            i++;
+        }
+        if (status === 0) throw new Error("MIDI file track " + trackIndex + " has a data byte without a status");
+
+        const length = ((status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0) ? 1 : 2;
+        const message = parseMidiMessage([status, ...data.subarray(i, i + length)])[0];
+        i += length;
+        if (message) events.push(Object.assign({tick: tick, track: trackIndex}, message));
+    }
+    return {name: name, events: events, endTick: tick};
+}
+
+export class MidiFilePlayer {
+    /**
+     * Plays a parsed MIDI file through Synthesizers
+     * <br>* Every synth must run on the same AudioContext
+     * @param {Object} midiFile file returned by parseMidiFile()
+     * @param {Synthesizer} [synth] synth to play every channel with (more can be assigned with assign())
+     * @param {Object} [options] initial values for any of the player's setters (ie. {loop: true})
+     * @constructor
+     */
+    constructor(midiFile, synth = null, options = {}) {
+        this.midiFile = midiFile;
+
+        /**
+         * Synths playing each channel, in assign() order
+         * <br>channels: channels (1-16) the synth plays, null for all of them
+         * <br>mapper: optional MidiMapper that receives the control changes the player doesn't handle itself
+         * @type {{channels: number[]|null, synth: Synthesizer, mapper: MidiMapper|null}[]}
+         */
+        this.assignments = [];
+
+        /** start over at the end of the file */
+        this._loop = false;
+
+        /** true while the file is being scheduled */
+        this.playing = false;
+
+        /** position in the file in seconds, while paused */
+        this.position = 0;
+
+        /** context time the start of the file plays at, while playing */
+        this.startTime = 0;
+
+        /** index of the next event to schedule */
+        this.eventIndex = 0;
+
+        /** bumped on every pause, so chunks scheduled by an earlier run drop out */
+        this.clock = 0;
+
+        /**
+         * Events scheduled on the synths that haven't been played yet
+         * @type {Set<{event: Object, synth: Synthesizer}>}
+         */
+        this.pendingEvents = new Set();
+
+        /**
+         * Voice handles of the noteOns played per synth and note that haven't had a noteOff yet (see Synthesizer.startNote)
+         * <br>Only these voices are released on pause, so notes played by other inputs are left alone
+         * @type {Map<Synthesizer, Object[][]>}
+         */
+        this.heldNotes = new Map();
+
+        if (synth) this.assign(null, synth);
+        for (let key in options) this[key] = options[key];
+    }
+
+    /**
+     * Assigns channels to a synth, the first assignment that lists a channel plays it
+     * @param {number[]|number|null} channels channel(s) 1-16, null for all channels
+     * @param {Synthesizer} synth
+     * @param {MidiMapper} [mapper] receives the file's control changes for these channels (besides 7, 10, 120 and 123)
+     */
+    assign(channels, synth, mapper = null) {
+        if (typeof channels === "number") channels = [channels];
+        this.assignments.push({channels: channels, synth: synth, mapper: mapper});
+    }
+
+    /**
+     * Returns the assignment playing a channel, or undefined if no synth plays it
+     * @param {number} channel
+     * @return {{channels: number[]|null, synth: Synthesizer, mapper: MidiMapper|null}|undefined}
+     */
+    getAssignment(channel) {
+        return this.assignments.find((assignment) => assignment.channels === null || assignment.channels.includes(channel));
+    }
+
+    /**
+     * Returns the position in the file in seconds (now, if it's playing)
+     * @return {number}
+     */
+    getPosition() {
+        if (!this.playing) return this.position;
+        let position = this.assignments[0].synth.context.currentTime - this.startTime;
+        //the next loop is scheduled a little before the current one ends
+        if (position < 0 && this._loop) position += this.duration;
+        return Math.min(Math.max(position, 0), this.duration);
+    }
+
+    // ----- Transport functions ----- //
+
+    /**
+     * Plays the file from the current position (from the start once it has played to the end)
+     * @param {number} [when] context time to start at, defaults to now
+     */
+    play(when = 0) {
+        if (this.playing) return;
+        if (this.assignments.length === 0) {
+            console.log("MidiFilePlayer has no synth assigned");
+            return;
+        }
+        const synth = this.assignments[0].synth;
+        if (this.position >= this.duration) this.position = 0;
+        this.playing = true;
+        this.startTime = Math.max(when, synth.context.currentTime) - this.position;
+        this.eventIndex = this.findEventIndex(this.position);
+        const clock = this.clock;
+        synth.scheduleEvent(this.startTime + this.position, () => this.scheduleChunk(clock));
+    }
+
+    /**
+     * Stops playing, keeping the position, and releases every note the player started
+     */
+    pause() {
+        if (this.playing) this.position = this.getPosition();
+        this.playing = false;
+        this.clock++;
+        this.pendingEvents.forEach((pending) => pending.synth.cancelEvent(pending.event));
+        this.pendingEvents.clear();
+        this.releaseHeld();
+    }
+
+    /**
+     * Stops playing and goes back to the start of the file
+     */
+    stop() {
+        this.pause();
+        this.position = 0;
+    }
+
+    /**
+     * Moves to a position in the file, notes held over that position aren't replayed
+     * @param {number} time position in seconds
+     */
+    seek(time) {
+        const playing = this.playing;
+        this.pause();
+        this.position = Math.min(Math.max(time, 0), this.duration);
+        if (playing) this.play();
+    }
+
+    /**
+     * Returns the index of the first event at or after a position
+     * @param {number} time position in seconds
+     * @return {number}
+     */
+    findEventIndex(time) {
+        const index = this.midiFile.events.findIndex((event) => event.time >= time);
+        return index < 0 ? this.midiFile.events.length : index;
+    }
+
+    /**
+     * Schedules the events of the next CHUNK_TIME seconds and the chunk after them
+     * <br>* Runs scheduleAheadTime before the chunk starts, like every scheduled event
+     * @param {number} clock clock the chunk was scheduled by, chunks of a paused run are dropped
+     */
+    scheduleChunk(clock) {
+        if (clock !== this.clock) return;
+        const events = this.midiFile.events;
+        const end = this.position + CHUNK_TIME;
+        while (this.eventIndex < events.length && events[this.eventIndex].time < end) {
+            this.scheduleFileEvent(events[this.eventIndex], this.startTime + events[this.eventIndex].time);
+            this.eventIndex++;
+        }
+        this.position = end;
+
+        const synth = this.assignments[0].synth;
+        if (end >= this.duration) {
+            //notes the file never released end with it
+            const fileEnd = this.startTime + this.duration;
+            synth.scheduleEvent(fileEnd, (t) => {
+                if (clock !== this.clock) return;
+                this.releaseHeld(t);
+                if (this._loop) return;
+                this.playing = false;
+                this.position = this.duration;
+            });
+            if (!this._loop || this.duration === 0) return;
+            this.startTime = fileEnd;
+            this.position = 0;
+            this.eventIndex = 0;
+        }
+        synth.scheduleEvent(this.startTime + this.position, () => this.scheduleChunk(clock));
+    }
+
+    /**
+     * Schedules one file event on the synth assigned to its channel
+     * @param {Object} event event from the file's event list
+     * @param {number} time context time it plays at
+     */
+    scheduleFileEvent(event, time) {
+        if (event.channel === undefined) return;
+        const assignment = this.getAssignment(event.channel);
+        if (!assignment || !["noteon", "noteoff", "controlchange"].includes(event.type)) return;
+        const synth = assignment.synth;
+        const pending = {event: null, synth: synth};
+        //added before scheduling, events due straight away run inside scheduleEvent()
+        this.pendingEvents.add(pending);
+        pending.event = synth.scheduleEvent(time, (t) => {
+            this.pendingEvents.delete(pending);
+            this.playFileEvent(event, assignment, t);
+        });
+    }
+
+    /**
+     * Plays a file event on a synth
+     * <br>* Control changes 7 (volume) and 10 (pan) set maxVolume and pan, 120 and 123 release the player's notes,
+     * the rest go to the assignment's MidiMapper
+     * <br>* Control changes apply when they're scheduled, up to the synth's scheduleAheadTime early
+     * @param {Object} event
+     * @param {{synth: Synthesizer, mapper: MidiMapper|null}} assignment
+     * @param {number} time context time
+     */
+    playFileEvent(event, assignment, time) {
+        const synth = assignment.synth;
+        if (!this.heldNotes.has(synth)) this.heldNotes.set(synth, []);
+        const held = this.heldNotes.get(synth);
+        switch (event.type) {
+            case "noteon":
+                if (!held[event.data1]) held[event.data1] = [];
+                held[event.data1].push(synth.startNote(event.data1, event.data2, time));
+                break;
+            case "noteoff":
+                //overlapping notes on the same key are released in the order they started
+                if (!held[event.data1] || held[event.data1].length === 0) return;
+                synth.releaseNote(held[event.data1].shift(), time);
+                break;
+            case "controlchange":
+                if (event.data1 === 7) synth.maxVolume = event.data2 / 127;
+                else if (event.data1 === 10) synth.pan = Math.max((event.data2 - 64) / 63, -1);
+                else if (event.data1 === 120 || event.data1 === 123) this.releaseHeld(time, synth);
+                else if (assignment.mapper) assignment.mapper.handleControlChange(event.channel, event.data1, event.data2);
+                break;
+        }
+    }
+
+    /**
+     * Releases every voice the player still holds
+     * @param {number} [time] context time, defaults to now
+     * @param {Synthesizer} [onlySynth] only release the voices of this synth
+     */
+    releaseHeld(time = 0, onlySynth = null) {
+        this.heldNotes.forEach((held, synth) => {
+            if (onlySynth && synth !== onlySynth) return;
+            held.forEach((handles) => {
+                if (handles) handles.splice(0).forEach((handle) => synth.releaseNote(handle, time));
+            });
+        });
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    /**
+     * Length of the file in seconds
+     * @return {number}
+     */
+    get duration() {
+        return this.midiFile.duration;
+    }
+
+    get loop() {
+        return this._loop;
+    }
+
+    set loop(value) {
+        this._loop = !!value;
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * midiInput.js
+ * Written by Mirthe_
+ *
+ * MidiInput class and parseMidiMessage function
+ * * Binds a Synthesizer to one or more Web MIDI inputs
+ * * Raw MIDI bytes can be fed to handleMidiMessage() directly (no hardware needed)
+ * * Notes are released by their voice handle (see Synthesizer.startNote), so other inputs playing the same notes keep theirs
+ *
+ * Channels are numbered 1-16 like on hardware, statuses use their standard values
+ */
+
+/**
+ * Parses one or more raw MIDI messages from a byte array
+ * <br>* Supports running status (data bytes following a previous channel message)
+ * <br>* Skips system realtime bytes (0xF8-0xFF) and system common/sysex messages
+ * @param {Uint8Array|number[]} data raw midi bytes
+ * @returns {{type: "noteon"|"noteoff"|"controlchange"|"programchange"|"pitchbend"|"aftertouch"|"polyaftertouch",
+ * channel: number, data1: number, data2: number}[]} parsed channel messages
+ */
+export function parseMidiMessage(data) {
+    const types = {
+        0x80: "noteoff", 0x90: "noteon", 0xA0: "polyaftertouch", 0xB0: "controlchange",
+        0xC0: "programchange", 0xD0: "aftertouch", 0xE0: "pitchbend"
+    };
+    const messages = [];
+    let status = 0;
+    let i = 0;
+    while (i < data.length) {
+        let byte = data[i];
+        //system realtime bytes can appear anywhere, even between data bytes
+        if (byte >= 0xF8) {
+            i++;
+            continue;
+        }
+        if (byte >= 0xF0) {
+            //system common/sysex clears running status, skip its data bytes
+            status = 0;
+            i++;
+            while (i < data.length && data[i] < 0x80) i++;
+            continue;
+        }
+        if (byte & 0x80) {
+            status = byte;
+            i++;
+        }
+        if (status === 0) {
+            //stray data byte with no status to run from
+            i++;
+            continue;
+        }
+
+        let type = types[status & 0xF0];
+        let length = (type === "programchange" || type === "aftertouch") ? 1 : 2;
+        //collect the data bytes, skipping realtime bytes between them
+        const bytes = [];
+        while (bytes.length < length && i < data.length) {
+            if (data[i] >= 0xF8) {
+                i++;
+                continue;
+            }
+            if (data[i] & 0x80) break;
+            bytes.push(data[i]);
+            i++;
+        }
+        if (bytes.length < length) {
+            if (i >= data.length) break;
+            //incomplete message interrupted by a new status byte, parsing goes on from that byte
+            continue;
+        }
+
+        let message = {type: type, channel: (status & 0x0F) + 1, data1: bytes[0], data2: length === 2 ? bytes[1] : 0};
+
+        //note-on with velocity 0 is a note-off
+        if (message.type === "noteon" && message.data2 === 0) message.type = "noteoff";
+        messages.push(message);
+    }
+    return messages;
+}
+
+export class MidiInput {
+    /**
+     * Maps incoming MIDI messages to a Synthesizer's noteOn/noteOff/panic functions
+     * @param {Synthesizer} synth Synthesizer to play
+     * @param {number[]|null} channels channels (1-16) to listen on, null for omni
+     * @constructor
+     */
+    constructor(synth, channels = null) {
+        this.synth = synth;
+
+        /** @type {number[]|null} */
+        this.channels = channels;
+
+        /**
+         * Web MIDI inputs currently bound, mapped to their midimessage listener
+         * @type {Map<MIDIInput, function>}
+         */
+        this.inputs = new Map();
+
+        /**
+         * Notes sent to the synth that haven't had a noteOff yet, per note in the order they started
+         * <br>Each is its voice handle (see Synthesizer.startNote), or null for a synth without one (ie. an Arpeggiator)
+         * <br>Only these are released on noteOff, so notes held by other inputs (ie. a Sequencer) are left alone
+         * @type {(Object|null)[][]}
+         */
+        this.heldNotes = [];
+
+        /**
+         * Optional MidiMapper that receives every other control change
+         * @type {MidiMapper|null}
+         */
+        this.mapper = null;
+    }
+
+    /**
+     * Requests Web MIDI access from the browser
+     * @return {Promise<MIDIAccess>}
+     */
+    static requestAccess() {
+        if (!navigator.requestMIDIAccess) {
+            return Promise.reject(new Error("Web MIDI is not supported in this browser"));
+        }
+        return navigator.requestMIDIAccess();
+    }
+
+    /**
+     * Binds a Web MIDI input to this MidiInput
+     * @param {MIDIInput} input
+     */
+    bindInput(input) {
+        if (this.inputs.has(input)) return;
+        const listener = (e) => this.handleMidiMessage(e.data);
+        input.addEventListener("midimessage", listener);
+        this.inputs.set(input, listener);
+    }
+
+    /**
+     * Binds every input of a MIDIAccess object
+     * @param {MIDIAccess} midiAccess
+     */
+    bindAllInputs(midiAccess) {
+        midiAccess.inputs.forEach((input) => this.bindInput(input));
+    }
+
+    /**
+     * Unbinds a Web MIDI input
+     * @param {MIDIInput} input
+     */
+    unbindInput(input) {
+        if (!this.inputs.has(input)) return;
+        input.removeEventListener("midimessage", this.inputs.get(input));
+        this.inputs.delete(input);
+    }
+
+    /**
+     * Unbinds all inputs and releases every note still held by this MidiInput
+     */
+    unbindAll() {
+        this.inputs.forEach((listener, input) => input.removeEventListener("midimessage", listener));
+        this.inputs.clear();
+        this.releaseAll();
+    }
+
+    /**
+     * Returns true/false if the channel (1-16) passes the channel filter
+     * @param {number} channel
+     * @return {boolean}
+     */
+    listensTo(channel) {
+        return this.channels === null || this.channels.includes(channel);
+    }
+
+    /**
+     * Parses raw MIDI bytes and applies the resulting messages to the synth
+     * @param {Uint8Array|number[]} data raw midi bytes
+     */
+    handleMidiMessage(data) {
+        parseMidiMessage(data).forEach((message) => {
+            if (!this.listensTo(message.channel)) return;
+            switch (message.type) {
+                case "noteon":
+                    this.noteOn(message.data1, message.data2);
+                    break;
+                case "noteoff":
+                    this.noteOff(message.data1);
+                    break;
+                case "controlchange":
+                    //120: All Sound Off, 123: All Notes Off
+                    if (message.data1 === 120 || message.data1 === 123) this.panic();
+                    else if (this.mapper) this.mapper.handleControlChange(message.channel, message.data1, message.data2);
+                    break;
+            }
+        });
+    }
+
+    noteOn(note, velocity) {
+        if (!this.heldNotes[note]) this.heldNotes[note] = [];
+        if (this.synth.startNote) {
+            this.heldNotes[note].push(this.synth.startNote(note, velocity));
+            return;
+        }
+        this.heldNotes[note].push(null);
+        this.synth.noteOn(note, velocity);
+    }
+
+    noteOff(note) {
+        if (!this.heldNotes[note] || this.heldNotes[note].length === 0) return;
+        //overlapping notes on the same key are released in the order they started
+        const handle = this.heldNotes[note].shift();
+        if (handle) this.synth.releaseNote(handle);
+        else this.synth.noteOff(note);
+    }
+
+    /**
+     * Sends a noteOff for every note still held by this MidiInput
+     */
+    releaseAll() {
+        for (let note in this.heldNotes) {
+            while (this.heldNotes[note].length > 0) this.noteOff(parseInt(note));
+        }
+    }
+
+    panic() {
+        this.heldNotes.splice(0);
+        this.synth.panic();
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * midiMapper.js
+ * Written by Mirthe_
+ *
+ * MidiMapper class for MIDI CC learn and CC -> Synthesizer parameter mapping
+ * * Attach to a MidiInput with `midiInput.mapper = new MidiMapper(synth)`
+ * * Mappings save/restore as JSON via toJSON()/loadMappings()
+ */
+
+import {SYNTH_PARAMS} from "./synthesizer.js";
+
+/**
+ * Default ranges used when mapping a Synthesizer parameter without giving a range, made from SYNTH_PARAMS
+ * <br>values: list of choices for non-numeric parameters (always stepped)
+ * @type {Object<string, {min?: number, max?: number, curve?: "linear"|"exponential"|"stepped", steps?: number, values?: Array}>}
+ */
+export const MIDI_PARAM_RANGES = {};
+for (let name in SYNTH_PARAMS) {
+    const info = SYNTH_PARAMS[name];
+    if (info.type === "enum") MIDI_PARAM_RANGES[name] = {values: info.options};
+    else if (info.type === "boolean") MIDI_PARAM_RANGES[name] = {values: [false, true]};
+    else if (info.type === "integer") {
+        MIDI_PARAM_RANGES[name] = {min: info.min, max: info.max, curve: "stepped", steps: info.max - info.min + 1};
+    }
+    else MIDI_PARAM_RANGES[name] = {min: info.min, max: info.max, curve: info.scale};
+}
+
+export class MidiMapper {
+    /**
+     * Maps MIDI CC values (0-127) onto Synthesizer parameters
+     * @param {Synthesizer} synth
+     * @constructor
+     */
+    constructor(synth) {
+        this.synth = synth;
+
+        /**
+         * List of active mappings
+         * @type {{cc: number, channel: number|null, param: string, min: number, max: number,
+         * curve: "linear"|"exponential"|"stepped", steps: number, values: string[]|null}[]}
+         */
+        this.mappings = [];
+
+        /**
+         * Pending learn request, completed by the next incoming CC
+         * @type {{param: string, options: Object, resolve: function}|null}
+         */
+        this.learning = null;
+
+        /**
+         * Optional callback for each parameter change made by a CC (for updating UI)
+         * @type {function(string, *)|null}
+         */
+        this.onParamChange = null;
+    }
+
+    /**
+     * Maps the next incoming CC to a parameter
+     * <br>* Replaces any existing mapping for the parameter
+     * @param {string} param Synthesizer parameter name (ie. "geA")
+     * @param {Object} [options] range/curve options, see map()
+     * @return {Promise<Object>} resolves with the new mapping, or null if cancelled
+     */
+    learn(param, options = {}) {
+        this.cancelLearn();
+        return new Promise((resolve) => {
+            this.learning = {param: param, options: options, resolve: resolve};
+        });
+    }
+
+    /**
+     * Cancels a pending learn request
+     */
+    cancelLearn() {
+        if (this.learning) {
+            this.learning.resolve(null);
+            this.learning = null;
+        }
+    }
+
+    /**
+     * Maps a CC number to a parameter
+     * <br>* Replaces any existing mapping for the parameter
+     * @param {number} cc controller number 0-127
+     * @param {string} param Synthesizer parameter name (ie. "geA")
+     * @param {Object} [options]
+     * @param {number} [options.min] parameter value at CC 0 (defaults from MIDI_PARAM_RANGES)
+     * @param {number} [options.max] parameter value at CC 127 (defaults from MIDI_PARAM_RANGES)
+     * @param {"linear"|"exponential"|"stepped"} [options.curve]
+     * @param {number} [options.steps] number of steps for the stepped curve
+     * @param {string[]} [options.values] list of choices for non-numeric parameters
+     * @param {number|null} [options.channel] channel 1-16 to respond on, null for any
+     * @return {Object} the new mapping
+     */
+    map(cc, param, options = {}) {
+        const defaults = MIDI_PARAM_RANGES[param] || {min: 0, max: 1};
+        const values = options.values || defaults.values || null;
+        const mapping = {
+            cc: cc,
+            channel: options.channel !== undefined ? options.channel : null,
+            param: param,
+            min: options.min !== undefined ? options.min : (defaults.min !== undefined ? defaults.min : 0),
+            max: options.max !== undefined ? options.max : (defaults.max !== undefined ? defaults.max : 1),
+            curve: values ? "stepped" : (options.curve || defaults.curve || "linear"),
+            steps: values ? values.length : (options.steps || defaults.steps || 128),
+            values: values
+        };
+        this.unmap(param);
+        this.mappings.push(mapping);
+        return mapping;
+    }
+
+    /**
+     * Removes the mapping for a parameter
+     * @param {string} param
+     */
+    unmap(param) {
+        this.mappings = this.mappings.filter((m) => m.param !== param);
+    }
+
+    /**
+     * Applies a control change to mapped parameters, or completes a pending learn request
+     * @param {number} channel 1-16
+     * @param {number} cc controller number 0-127
+     * @param {number} value controller value 0-127
+     */
+    handleControlChange(channel, cc, value) {
+        if (this.learning) {
+            const learning = this.learning;
+            this.learning = null;
+            const options = Object.assign({channel: channel}, learning.options);
+            learning.resolve(this.map(cc, learning.param, options));
+        }
+        this.mappings.forEach((m) => {
+            if (m.cc !== cc || (m.channel !== null && m.channel !== channel)) return;
+            const paramValue = this.scaleValue(m, value);
+            this.synth.withParamSource("midi", () => {
+                this.synth[m.param] = paramValue;
+            });
+            if (this.onParamChange) this.onParamChange(m.param, paramValue);
+        });
+    }
+
+    /**
+     * Scales a CC value 0-127 onto a mapping's range through its curve
+     * <br>* exponential: min * (max/min)^x, falls back to a squared curve if the range touches/crosses 0
+     * <br>* stepped: quantizes to steps evenly spaced values (or picks from mapping.values)
+     * @param {Object} mapping
+     * @param {number} value 0-127
+     * @return {number|string}
+     */
+    scaleValue(mapping, value) {
+        let x = Math.min(Math.max(value / 127, 0), 1);
+        const {min, max} = mapping;
+        switch (mapping.curve) {
+            case "exponential":
+                if (min > 0 && max > 0) return min * Math.pow(max / min, x);
+                return min + (max - min) * x * x;
+            case "stepped": {
+                const steps = Math.max(mapping.steps, 1);
+                const step = Math.min(Math.floor(x * steps), steps - 1);
+                if (mapping.values) return mapping.values[step];
+                return steps === 1 ? min : min + (max - min) * (step / (steps - 1));
+            }
+            default:
+                return min + (max - min) * x;
+        }
+    }
+
+    /**
+     * Returns the mappings as a JSON-serializable object
+     * @return {{version: number, mappings: Object[]}}
+     */
+    toJSON() {
+        return {version: 1, mappings: this.mappings.map((m) => Object.assign({}, m))};
+    }
+
+    /**
+     * Replaces the current mappings with saved ones
+     * @param {string|{version: number, mappings: Object[]}} json output of toJSON() or its JSON string
+     */
+    loadMappings(json) {
+        const saved = typeof json === "string" ? JSON.parse(json) : json;
+        this.mappings = [];
+        (saved.mappings || []).forEach((m) => this.map(m.cc, m.param, m));
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * offlineRenderer.js
+ * Written by Mirthe_
+ *
+ * Offline rendering of a Synthesizer patch + timed note list to an AudioBuffer or WAV file
+ * * Renders on its own OfflineAudioContext, as fast as possible and without any running AudioContext
+ * * Notes are scheduled on the render's clock with the synth's noteOn/noteOff when times (see Synthesizer.scheduleEvent)
+ * * renderMidiFile() renders a parsed MIDI file through the same MidiFilePlayer used for realtime playback
+ * * encodeWav() writes 16 bit/24 bit PCM or 32 bit float WAV data
+ */
+
+import {Synthesizer} from "./synthesizer.js";
+import {MidiFilePlayer} from "./midiFile.js";
+
+/**
+ * Renders a patch playing a list of notes
+ * <br>* Notes: time/duration in seconds from the start of the render, velocity 0-127 (default 127)
+ * <br>* The render lasts until the last note's release (geR) has finished, plus options.tail seconds
+ * <br>* options.setup(synth) is awaited before rendering, for things a patch can't hold (ie. loading a sampleMap)
+ * @param {Object|null} patch patch to load (see Synthesizer.getPatch), null keeps the default sound
+ * @param {{note: number, time: number, duration: number, velocity: number}[]} notes
+ * @param {{sampleRate: number, channels: number, tail: number, duration: number,
+ * setup: function(Synthesizer, OfflineAudioContext): (Promise|void)}} [options]
+ * sampleRate (44100), channels (2), tail in seconds after the last release (0.1),
+ * duration in seconds to render instead of the calculated length
+ * @return {Promise<AudioBuffer>}
+ */
+export async function renderOffline(patch, notes, options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+    const channels = options.channels || 2;
+    const tail = options.tail !== undefined ? options.tail : 0.1;
+
+    let duration = options.duration;
+    if (duration === undefined) {
+        //the release time comes from the loaded patch, so the length is worked out with a synth on a throwaway context
+        const probe = new Synthesizer(new OfflineAudioContext(channels, 1, sampleRate).destination);
+        if (patch) probe.setPatch(patch);
+        const end = notes.reduce((last, n) => Math.max(last, n.time + n.duration), 0);
+        duration = end + (probe.geR / 1000) + tail;
+    }
+
+    const context = new OfflineAudioContext(channels, Math.max(Math.ceil(duration * sampleRate), 1), sampleRate);
+    const synth = new Synthesizer(context.destination);
+    if (patch) synth.setPatch(patch);
+    if (options.setup) await options.setup(synth, context);
+
+    //the synth plays events within its scheduleAheadTime as soon as they're scheduled, so they go in in time order
+    //noteOffs go first at the same time so a note can be replayed where it ends
+    const events = [];
+    notes.forEach((n) => {
+        events.push({time: n.time, on: true, note: n.note, velocity: n.velocity !== undefined ? n.velocity : 127});
+        events.push({time: n.time + n.duration, on: false, note: n.note});
+    });
+    events.sort((a, b) => (a.time - b.time) || (a.on - b.on));
+    events.forEach((event) => {
+        if (event.on) synth.noteOn(event.note, event.velocity, event.time);
+        else synth.noteOff(event.note, event.time);
+    });
+    return await context.startRendering();
+}
+
+/**
+ * Renders a MIDI file played by one or more patches
+ * <br>* patches: one patch (or null) playing every channel, or a list of {channels, patch} each getting its own synth
+ * (channels 1-16, null for all of them; the first one listing a channel plays it)
+ * <br>* The render lasts until the end of the file plus the longest release (geR), plus options.tail seconds
+ * <br>* options.setup(synths, context) is awaited before rendering
+ * @param {Object} midiFile file returned by parseMidiFile()
+ * @param {Object|null|{channels: number[]|null, patch: Object|null}[]} patches
+ * @param {{sampleRate: number, channels: number, tail: number, duration: number,
+ * setup: function(Synthesizer[], OfflineAudioContext): (Promise|void)}} [options] same as renderOffline()
+ * @return {Promise<AudioBuffer>}
+ */
+export async function renderMidiFile(midiFile, patches, options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+    const channels = options.channels || 2;
+    const tail = options.tail !== undefined ? options.tail : 0.1;
+    const assignments = Array.isArray(patches) ? patches : [{channels: null, patch: patches}];
+
+    let duration = options.duration;
+    if (duration === undefined) {
+        const release = assignments.reduce((longest, assignment) => {
+            const probe = new Synthesizer(new OfflineAudioContext(channels, 1, sampleRate).destination);
+            if (assignment.patch) probe.setPatch(assignment.patch);
+            return Math.max(longest, probe.geR);
+        }, 0);
+        duration = midiFile.duration + (release / 1000) + tail;
+    }
+
+    const context = new OfflineAudioContext(channels, Math.max(Math.ceil(duration * sampleRate), 1), sampleRate);
+    const player = new MidiFilePlayer(midiFile);
+    const synths = assignments.map((assignment) => {
+        const synth = new Synthesizer(context.destination);
+        if (assignment.patch) synth.setPatch(assignment.patch);
+        player.assign(assignment.channels, synth);
+        return synth;
+    });
+    if (options.setup) await options.setup(synths, context);
+
+    player.play();
+    return await context.startRendering();
+}
+
+/**
+ * Encodes an AudioBuffer as a WAV file
+ * @param {AudioBuffer} buffer
+ * @param {16 | 24 | 32} [bitDepth] 16/24 bit integer PCM, or 32 bit float
+ * @return {ArrayBuffer}
+ */
+export function encodeWav(buffer, bitDepth = 16) {
+    if (![16, 24, 32].includes(bitDepth)) throw new Error("Unsupported WAV bit depth: " + bitDepth);
+    const channels = buffer.numberOfChannels;
+    const bytes = bitDepth / 8;
+    const dataLength = buffer.length * channels * bytes;
+    const view = new DataView(new ArrayBuffer(44 + dataLength));
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataLength, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    //format 1 is integer PCM, 3 is IEEE float
+    view.setUint16(20, bitDepth === 32 ? 3 : 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * bytes, true);
+    view.setUint16(32, channels * bytes, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, "data");
+    view.setUint32(40, dataLength, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.min(Math.max(data[c][i], -1), 1);
+            if (bitDepth === 32) view.setFloat32(offset, sample, true);
+            else if (bitDepth === 24) {
+                const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+            else view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+            offset += bytes;
+        }
+    }
+    return view.buffer;
+}
+
+/**
+ * Encodes an AudioBuffer as a WAV Blob (ie. for a download link or an <audio> element)
+ * @param {AudioBuffer} buffer
+ * @param {16 | 24 | 32} [bitDepth] 16/24 bit integer PCM, or 32 bit float
+ * @return {Blob}
+ */
+export function encodeWavBlob(buffer, bitDepth = 16) {
+    return new Blob([encodeWav(buffer, bitDepth)], {type: "audio/wav"});
+}
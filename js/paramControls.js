@@ -0,0 +1,207 @@
+/**
+ * paramControls.js
+ * Written by Mirthe_
+ *
+ * UI generator for a Synthesizer's parameters
+ * * Builds a labeled slider, select or checkbox for every parameter in SYNTH_PARAMS, grouped like the patch sections
+ * * Controls set the synth through setParam(), and follow changes made anywhere else (code, presets, MIDI CCs)
+ */
+
+import {SYNTH_PARAMS} from "./synthesizer.js";
+
+/**
+ * Heading of each SYNTH_PARAMS group
+ * @type {Object<string, string>}
+ */
+export const PARAM_GROUP_LABELS = {
+    oscillator: "Oscillator", polyphony: "Polyphony", stereo: "Stereo", slots: "Sub + noise", fm: "FM",
+    voicing: "Voicing", gainEnvelope: "Amp envelope", filter: "Filter", filterEnvelope: "Filter envelope", velocity: "Velocity"
+};
+
+/** positions of an exponential slider */
+const EXPONENTIAL_STEPS = 1000;
+
+export class ParamControls {
+    /**
+     * Controls for a Synthesizer's parameters, call attach() to put them on the page
+     * @param {Synthesizer} synth
+     * @param {Object} [options]
+     * @param {string[]} [options.params] SYNTH_PARAMS names to make controls for, in order (defaults to all of them)
+     * @param {function(string, HTMLElement)} [options.decorate] called with each parameter's name and container,
+     * to add more to it (ie. a MIDI learn button)
+     * @constructor
+     */
+    constructor(synth, options = {}) {
+        /** @type {Synthesizer} */
+        this.synth = synth;
+
+        /** @type {string[]} */
+        this.params = (options.params || Object.keys(SYNTH_PARAMS)).filter((name) => {
+            if (!SYNTH_PARAMS[name]) console.log("Unknown synth parameter: " + name);
+            return !!SYNTH_PARAMS[name];
+        });
+
+        /** @type {function(string, HTMLElement)|null} */
+        this.decorate = options.decorate || null;
+
+        /**
+         * Input and value text of each parameter's control
+         * @type {Map<string, {input: HTMLInputElement|HTMLSelectElement, output: HTMLElement}>}
+         */
+        this.controls = new Map();
+
+        /** @type {HTMLElement|null} */
+        this.element = null;
+
+        /** keeps the controls in sync, added to the synth by attach() */
+        this.listener = (e) => this.showValue(e.name, e.value);
+    }
+
+    /**
+     * Builds the controls and puts them on the page
+     * @param {HTMLElement} parent element the controls are appended to
+     * @return {HTMLElement} the controls' element
+     */
+    attach(parent) {
+        if (this.element) this.detach();
+        this.element = document.createElement("div");
+        this.element.className = "paramControls";
+        const groups = new Map();
+        this.params.forEach((name) => {
+            const group = SYNTH_PARAMS[name].group;
+            if (!groups.has(group)) {
+                const fieldset = document.createElement("fieldset");
+                const legend = document.createElement("legend");
+                legend.appendChild(document.createTextNode(PARAM_GROUP_LABELS[group] || group));
+                fieldset.appendChild(legend);
+                groups.set(group, fieldset);
+                this.element.appendChild(fieldset);
+            }
+            groups.get(group).appendChild(this.createControl(name));
+        });
+        parent.appendChild(this.element);
+        this.synth.on("paramchange", this.listener);
+        this.refresh();
+        return this.element;
+    }
+
+    /**
+     * Removes the controls from the page and stops following the synth
+     */
+    detach() {
+        this.synth.off("paramchange", this.listener);
+        if (this.element) this.element.remove();
+        this.element = null;
+        this.controls.clear();
+    }
+
+    /**
+     * Shows the synth's current value on every control
+     */
+    refresh() {
+        this.controls.forEach((control, name) => this.showValue(name, this.synth[name]));
+    }
+
+    /**
+     * Creates the labeled control of a parameter
+     * @param {string} name
+     * @return {HTMLElement} container holding the label, input and value text
+     */
+    createControl(name) {
+        const info = SYNTH_PARAMS[name];
+        const container = document.createElement("div");
+        const label = document.createElement("label");
+        const output = document.createElement("span");
+        let input;
+        const id = "param-" + name;
+
+        if (info.type === "enum") {
+            input = document.createElement("select");
+            info.options.forEach((option) => {
+                const optionElement = document.createElement("option");
+                optionElement.appendChild(document.createTextNode(option));
+                optionElement.setAttribute("value", option);
+                input.appendChild(optionElement);
+            });
+            input.addEventListener("change", () => this.synth.setParam(name, input.value, "ui"));
+        }
+        else if (info.type === "boolean") {
+            input = document.createElement("input");
+            input.setAttribute("type", "checkbox");
+            input.addEventListener("change", () => this.synth.setParam(name, input.checked, "ui"));
+        }
+        else {
+            input = document.createElement("input");
+            input.setAttribute("type", "range");
+            if (info.scale === "exponential") {
+                input.setAttribute("min", "0");
+                input.setAttribute("max", EXPONENTIAL_STEPS.toString());
+                input.setAttribute("step", "1");
+            }
+            else {
+                input.setAttribute("min", info.min.toString());
+                input.setAttribute("max", info.max.toString());
+                input.setAttribute("step", info.step.toString());
+            }
+            input.addEventListener("input", () => this.synth.setParam(name, this.fromSlider(info, parseFloat(input.value)), "ui"));
+        }
+        input.id = id;
+        label.setAttribute("for", id);
+        label.appendChild(document.createTextNode(info.label + " "));
+        container.append(label, input, output);
+        this.controls.set(name, {input: input, output: output});
+        if (this.decorate) this.decorate(name, container);
+        return container;
+    }
+
+    /**
+     * Moves a parameter's control to a value and updates its text
+     * @param {string} name
+     * @param {*} value
+     */
+    showValue(name, value) {
+        const control = this.controls.get(name);
+        if (!control) return;
+        const info = SYNTH_PARAMS[name];
+        if (info.type === "boolean") control.input.checked = !!value;
+        else if (info.type === "enum") control.input.value = value;
+        else control.input.value = this.toSlider(info, value);
+        control.output.textContent = this.formatValue(info, value);
+    }
+
+    /**
+     * Returns a value as its slider position
+     * @param {Object} info SYNTH_PARAMS entry
+     * @param {number} value
+     * @return {number}
+     */
+    toSlider(info, value) {
+        if (info.scale !== "exponential") return value;
+        const clamped = Math.min(Math.max(value, info.min), info.max);
+        return Math.round(EXPONENTIAL_STEPS * Math.log(clamped / info.min) / Math.log(info.max / info.min));
+    }
+
+    /**
+     * Returns the value at a slider position, rounded to the parameter's step
+     * @param {Object} info SYNTH_PARAMS entry
+     * @param {number} position
+     * @return {number}
+     */
+    fromSlider(info, position) {
+        if (info.scale !== "exponential") return position;
+        const value = info.min * Math.pow(info.max / info.min, position / EXPONENTIAL_STEPS);
+        return Math.round(value / info.step) * info.step;
+    }
+
+    /**
+     * Returns a value as text, with as many decimals as the parameter's step and its unit
+     * @param {Object} info SYNTH_PARAMS entry
+     * @param {*} value
+     * @return {string}
+     */
+    formatValue(info, value) {
+        if (info.type === "enum" || info.type === "boolean") return "";
+        const decimals = (info.step.toString().split(".")[1] || "").length;
+        return Number(value).toFixed(decimals) + (info.unit ? " " + info.unit : "");
+    }
+}
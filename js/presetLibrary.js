@@ -0,0 +1,103 @@
+/**
+ * presetLibrary.js
+ * Written by Mirthe_
+ *
+ * PresetLibrary class for saving named Synthesizer patches (see Synthesizer.getPatch())
+ * * Backed by localStorage, or any store with getItem(key)/setItem(key, value) string functions
+ * * All presets are kept as one JSON object under a single store key
+ */
+export class PresetLibrary {
+    /**
+     * Named patch storage
+     * @param {{getItem: function(string): (string|null), setItem: function(string, string)}} store
+     * @param {string} storeKey key the library is saved under in the store
+     * @constructor
+     */
+    constructor(store = window.localStorage, storeKey = "jsPolySynthPresets") {
+        this.store = store;
+        this.storeKey = storeKey;
+    }
+
+    /**
+     * Returns the stored presets as a {name: patch} object
+     * @return {Object<string, Object>}
+     */
+    readPresets() {
+        let saved = this.store.getItem(this.storeKey);
+        return saved ? JSON.parse(saved) : {};
+    }
+
+    writePresets(presets) {
+        this.store.setItem(this.storeKey, JSON.stringify(presets));
+    }
+
+    /**
+     * Returns the names of all saved presets, sorted
+     * @return {string[]}
+     */
+    list() {
+        return Object.keys(this.readPresets()).sort();
+    }
+
+    /**
+     * Returns true/false if a preset with the name exists
+     * @param {string} name
+     * @return {boolean}
+     */
+    has(name) {
+        return PresetLibrary.hasPreset(this.readPresets(), name);
+    }
+
+    static hasPreset(presets, name) {
+        return Object.prototype.hasOwnProperty.call(presets, name);
+    }
+
+    /**
+     * Saves a patch under a name, replacing any preset with the same name
+     * @param {string} name
+     * @param {Object} patch patch from Synthesizer.getPatch()
+     */
+    save(name, patch) {
+        let presets = this.readPresets();
+        presets[name] = patch;
+        this.writePresets(presets);
+    }
+
+    /**
+     * Returns a copy of the patch saved under a name, or null if there is none
+     * @param {string} name
+     * @return {Object|null}
+     */
+    load(name) {
+        let presets = this.readPresets();
+        return PresetLibrary.hasPreset(presets, name) ? presets[name] : null;
+    }
+
+    /**
+     * Renames a preset
+     * @param {string} oldName
+     * @param {string} newName
+     */
+    rename(oldName, newName) {
+        let presets = this.readPresets();
+        if (!PresetLibrary.hasPreset(presets, oldName)) throw new Error("No preset named: " + oldName);
+        if (oldName === newName) return;
+        if (PresetLibrary.hasPreset(presets, newName)) throw new Error("A preset named " + newName + " already exists");
+        presets[newName] = presets[oldName];
+        delete presets[oldName];
+        this.writePresets(presets);
+    }
+
+    /**
+     * Deletes a preset
+     * @param {string} name
+     * @return {boolean} true if a preset was deleted
+     */
+    delete(name) {
+        let presets = this.readPresets();
+        if (!PresetLibrary.hasPreset(presets, name)) return false;
+        delete presets[name];
+        this.writePresets(presets);
+        return true;
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * sampleMap.js
+ * Written by Mirthe_
+ *
+ * SampleMap class and loadAudioBuffer function for Synthesizer sampler voices
+ * * Zones map a decoded AudioBuffer to a key range + velocity layer with a root note to repitch from
+ * * Files can be loaded from a URL or an ArrayBuffer (for offline use)
+ */
+
+/**
+ * Decodes an audio file into an AudioBuffer
+ * @param {BaseAudioContext} context context to decode with
+ * @param {string|ArrayBuffer} source URL to fetch or the file's ArrayBuffer
+ * @return {Promise<AudioBuffer>}
+ */
+export async function loadAudioBuffer(context, source) {
+    let arrayBuffer = source;
+    if (typeof source === "string") {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error("Failed to load sample " + source + " (" + response.status + ")");
+        arrayBuffer = await response.arrayBuffer();
+    }
+    return await context.decodeAudioData(arrayBuffer);
+}
+
+export class SampleMap {
+    /**
+     * Keymap of sample zones for a Synthesizer's "sampler" oscType
+     * @constructor
+     */
+    constructor() {
+        /**
+         * @type {{buffer: AudioBuffer, rootNote: number, lowNote: number, highNote: number,
+         * lowVelocity: number, highVelocity: number, loop: boolean, loopStart: number, loopEnd: number,
+         * oneShot: boolean}[]}
+         */
+        this.zones = [];
+    }
+
+    /**
+     * Adds a zone for a decoded AudioBuffer
+     * @param {AudioBuffer} buffer
+     * @param {Object} [options]
+     * @param {number} [options.rootNote] midi note the sample was recorded at (default 60)
+     * @param {number} [options.lowNote] lowest midi note the zone plays on (default 0)
+     * @param {number} [options.highNote] highest midi note the zone plays on (default 127)
+     * @param {number} [options.lowVelocity] lowest velocity of the zone's layer (default 0)
+     * @param {number} [options.highVelocity] highest velocity of the zone's layer (default 127)
+     * @param {boolean} [options.loop] loop between loopStart and loopEnd while held
+     * @param {number} [options.loopStart] loop start in seconds
+     * @param {number} [options.loopEnd] loop end in seconds (0 is the end of the buffer)
+     * @param {boolean} [options.oneShot] play to the end of the sample, ignoring noteOff
+     * @return {Object} the new zone
+     */
+    addZone(buffer, options = {}) {
+        const zone = Object.assign({
+            rootNote: 60,
+            lowNote: 0,
+            highNote: 127,
+            lowVelocity: 0,
+            highVelocity: 127,
+            loop: false,
+            loopStart: 0,
+            loopEnd: 0,
+            oneShot: false
+        }, options, {buffer: buffer});
+        this.zones.push(zone);
+        return zone;
+    }
+
+    /**
+     * Loads and decodes a file, then adds it as a zone
+     * @param {BaseAudioContext} context context to decode with
+     * @param {string|ArrayBuffer} source URL to fetch or the file's ArrayBuffer
+     * @param {Object} [options] zone options, see addZone()
+     * @return {Promise<Object>} the new zone
+     */
+    async loadZone(context, source, options = {}) {
+        const buffer = await loadAudioBuffer(context, source);
+        return this.addZone(buffer, options);
+    }
+
+    /**
+     * Removes a zone
+     * @param {Object} zone
+     */
+    removeZone(zone) {
+        let i = this.zones.indexOf(zone);
+        if (i >= 0) this.zones.splice(i, 1);
+    }
+
+    /**
+     * Returns the zone to play for a note and velocity, or null if none cover it
+     * <br>* If zones overlap, the one with the closest root note wins
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     * @return {Object|null}
+     */
+    findZone(note, velocity = 127) {
+        let found = null;
+        this.zones.forEach((zone) => {
+            if (note < zone.lowNote || note > zone.highNote) return;
+            if (velocity < zone.lowVelocity || velocity > zone.highVelocity) return;
+            if (!found || Math.abs(zone.rootNote - note) < Math.abs(found.rootNote - note)) found = zone;
+        });
+        return found;
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * sequencer.js
+ * Written by Mirthe_
+ *
+ * Step sequencer playing patterns on a Synthesizer
+ * * A Pattern is a list of steps, each with its own note, velocity, gate length, tie and probability
+ * * The Sequencer is the transport: bpm, swing, start/stop, looping and a chain of patterns to play in order
+ * * Steps are scheduled on the synth's audio clock (see Synthesizer.scheduleEvent)
+ * * Only the notes the sequencer started are released on stop, other inputs playing the same synth keep their notes
+ */
+
+import {ARP_DIVISIONS} from "./arpeggiator.js";
+
+/**
+ * Settings of an empty step
+ * <br>note: midi note, null for a rest
+ * <br>gate: 0-1 of the step the note is held for
+ * <br>tie: keep the note of the step before sounding through this step (its own note is ignored)
+ * <br>probability: 0-1 chance the step plays
+ * @type {{note: (number|null), velocity: number, gate: number, tie: boolean, probability: number}}
+ */
+export const SEQUENCER_STEP_DEFAULTS = {note: null, velocity: 100, gate: 0.5, tie: false, probability: 1};
+
+export class Pattern {
+    /**
+     * Pattern of empty steps
+     * @param {number} [length] number of steps
+     * @param {string} [division] key of ARP_DIVISIONS, the length of a step
+     * @constructor
+     */
+    constructor(length = 16, division = "1/16") {
+        if (!(length >= 1)) throw new Error("Pattern needs at least one step: " + length);
+        if (!(division in ARP_DIVISIONS)) throw new Error("Unknown pattern division: " + division);
+
+        /** @type {string} */
+        this.division = division;
+
+        /** @type {{note: (number|null), velocity: number, gate: number, tie: boolean, probability: number}[]} */
+        this.steps = [];
+        for (let i = 0; i < length; i++) this.steps.push(Object.assign({}, SEQUENCER_STEP_DEFAULTS));
+    }
+
+    /**
+     * Creates a pattern with a step for each note
+     * @param {(number|null)[]} notes midi note of each step, null for rests
+     * @param {Object} [stepOptions] settings shared by every step (ie. {gate: 0.8})
+     * @param {string} [division] key of ARP_DIVISIONS, the length of a step
+     * @return {Pattern}
+     */
+    static fromNotes(notes, stepOptions = {}, division = "1/16") {
+        const pattern = new Pattern(notes.length, division);
+        notes.forEach((note, i) => pattern.setStep(i, Object.assign({}, stepOptions, {note: note})));
+        return pattern;
+    }
+
+    /**
+     * Changes the settings of a step, values are clamped to their range
+     * @param {number} index step index
+     * @param {Object} settings any of the step's settings (see SEQUENCER_STEP_DEFAULTS)
+     */
+    setStep(index, settings) {
+        const step = this.steps[index];
+        if (!step) {
+            console.log("Pattern has no step " + index);
+            return;
+        }
+        if ("note" in settings) step.note = settings.note === null ? null : Math.min(Math.max(parseInt(settings.note), 0), 127);
+        if ("velocity" in settings) step.velocity = Math.min(Math.max(settings.velocity, 0), 127);
+        if ("gate" in settings) step.gate = Math.min(Math.max(settings.gate, 0.01), 1);
+        if ("tie" in settings) step.tie = !!settings.tie;
+        if ("probability" in settings) step.probability = Math.min(Math.max(settings.probability, 0), 1);
+    }
+
+    /**
+     * Returns the pattern as a JSON-serializable object (load with Pattern.fromJSON())
+     * @return {Object}
+     */
+    toJSON() {
+        return {division: this.division, steps: this.steps.map((step) => Object.assign({}, step))};
+    }
+
+    /**
+     * Creates a pattern saved by toJSON()
+     * @param {Object} json
+     * @return {Pattern}
+     */
+    static fromJSON(json) {
+        const pattern = new Pattern(json.steps.length, json.division);
+        json.steps.forEach((step, i) => pattern.setStep(i, step));
+        return pattern;
+    }
+}
+
+export class Sequencer {
+    /**
+     * Sequencer playing a Synthesizer
+     * @param {Synthesizer} synth Synthesizer to play
+     * @param {Object} [options] initial values for any of the sequencer's setters (ie. {bpm: 90, patterns: [...]})
+     * @constructor
+     */
+    constructor(synth, options = {}) {
+        /** @type {Synthesizer} */
+        this.synth = synth;
+
+        /** tempo in beats per minute */
+        this._bpm = 120;
+        /** 0-1 how late every second step plays, in half steps (0.66 is about a triplet shuffle) */
+        this._swing = 0;
+        /** start the chain over after its last pattern, false stops there */
+        this._loop = true;
+        /** @type {Pattern[]} */
+        this._patterns = [new Pattern()];
+        /**
+         * Indexes into patterns, in the order they're played
+         * @type {number[]}
+         */
+        this._chain = [0];
+
+        /** index into chain of the pattern playing */
+        this.chainIndex = 0;
+
+        /** step of the pattern playing */
+        this.stepIndex = 0;
+
+        /** number of steps played since the sequencer started */
+        this.stepCount = 0;
+
+        /** context time of the last step before swing */
+        this.gridTime = 0;
+
+        /** true while steps are being scheduled */
+        this.playing = false;
+
+        /** bumped on every stop, so steps scheduled by an earlier run drop out */
+        this.clock = 0;
+
+        /**
+         * Notes the sequencer started whose release hasn't been sent yet, with their voice handle (see Synthesizer.startNote)
+         * @type {Set<{handle: Object, event: Object}>}
+         */
+        this.pendingNotes = new Set();
+
+        /**
+         * Called for every step as it's scheduled, with the pattern index, step index and the context time it plays at
+         * @type {function(number, number, number)|null}
+         */
+        this.onStep = null;
+
+        for (let key in options) this[key] = options[key];
+    }
+
+    // ----- Transport functions ----- //
+
+    /**
+     * Starts playing the chain from its first step
+     * @param {number} [when] context time to start at, defaults to now
+     */
+    start(when = 0) {
+        if (this.playing) this.stop();
+        this.playing = true;
+        this.chainIndex = 0;
+        this.stepIndex = 0;
+        this.stepCount = 0;
+        this.gridTime = Math.max(when, this.synth.context.currentTime);
+        const clock = this.clock;
+        this.synth.scheduleEvent(this.gridTime, (t) => this.step(clock, t));
+    }
+
+    /**
+     * Stops playing and releases every note the sequencer started (notes scheduled ahead are released as well)
+     * <br>* Only the sequencer's own voices are released, other inputs playing the same notes keep theirs
+     */
+    stop() {
+        this.playing = false;
+        this.clock++;
+        this.pendingNotes.forEach((pending) => {
+            this.synth.cancelEvent(pending.event);
+            this.synth.releaseNote(pending.handle);
+        });
+        this.pendingNotes.clear();
+    }
+
+    /**
+     * Returns the length of a step of a pattern in seconds
+     * @param {Pattern} pattern
+     * @return {number}
+     */
+    stepDuration(pattern) {
+        return (60 / this._bpm) * ARP_DIVISIONS[pattern.division];
+    }
+
+    /**
+     * Returns the position after a step, or null when the chain ends and loop is off
+     * @param {{chainIndex: number, stepIndex: number}} position
+     * @return {{chainIndex: number, stepIndex: number}|null}
+     */
+    nextPosition(position) {
+        let {chainIndex, stepIndex} = position;
+        stepIndex++;
+        if (stepIndex >= this.getPattern(chainIndex).steps.length) {
+            stepIndex = 0;
+            chainIndex++;
+            if (chainIndex >= this._chain.length) {
+                if (!this._loop) return null;
+                chainIndex = 0;
+            }
+        }
+        return {chainIndex: chainIndex, stepIndex: stepIndex};
+    }
+
+    /**
+     * Returns the pattern at a place in the chain
+     * @param {number} chainIndex
+     * @return {Pattern|undefined}
+     */
+    getPattern(chainIndex) {
+        return this._patterns[this._chain[chainIndex]];
+    }
+
+    /**
+     * Returns how long the note of a step sounds in seconds, including the steps tied to it
+     * @param {{chainIndex: number, stepIndex: number}} position position of the step
+     * @return {number}
+     */
+    noteLength(position) {
+        let length = 0;
+        let gate = this.getPattern(position.chainIndex).steps[position.stepIndex].gate;
+        //a loop of only tied steps would never end, ties stop after one pass through the chain
+        const maxSteps = this._chain.reduce((sum, index, i) => sum + (this.getPattern(i) ? this.getPattern(i).steps.length : 0), 0);
+        for (let i = 0; i < maxSteps; i++) {
+            const next = this.nextPosition(position);
+            if (next === null) break;
+            const nextPattern = this.getPattern(next.chainIndex);
+            if (!nextPattern || !nextPattern.steps[next.stepIndex].tie) break;
+            length += this.stepDuration(this.getPattern(position.chainIndex));
+            gate = nextPattern.steps[next.stepIndex].gate;
+            position = next;
+        }
+        return length + (gate * this.stepDuration(this.getPattern(position.chainIndex)));
+    }
+
+    /**
+     * Plays one step at a context time and schedules the next
+     * @param {number} clock clock the step was scheduled by, steps of a stopped run are dropped
+     * @param {number} time context time the step plays at
+     */
+    step(clock, time) {
+        if (clock !== this.clock) return;
+        let pattern = this.getPattern(this.chainIndex);
+        if (pattern && this.stepIndex >= pattern.steps.length) {
+            //the pattern was changed to a shorter one while playing, go on with the next one
+            const next = this.nextPosition({chainIndex: this.chainIndex, stepIndex: pattern.steps.length - 1});
+            if (next === null) {
+                this.playing = false;
+                return;
+            }
+            this.chainIndex = next.chainIndex;
+            this.stepIndex = next.stepIndex;
+            pattern = this.getPattern(this.chainIndex);
+        }
+        if (!pattern) {
+            console.log("Unknown pattern in chain: " + this._chain[this.chainIndex]);
+            this.stop();
+            return;
+        }
+        const position = {chainIndex: this.chainIndex, stepIndex: this.stepIndex};
+        const step = pattern.steps[this.stepIndex];
+        if (!step.tie && step.note !== null && Math.random() < step.probability) {
+            this.playStepNote(step, time, time + this.noteLength(position));
+        }
+        if (this.onStep) this.onStep(this._chain[this.chainIndex], this.stepIndex, time);
+
+        const next = this.nextPosition(position);
+        if (next === null) {
+            //the last notes still play out their gate
+            this.playing = false;
+            return;
+        }
+        this.chainIndex = next.chainIndex;
+        this.stepIndex = next.stepIndex;
+        this.stepCount++;
+        this.gridTime += this.stepDuration(pattern);
+        const nextTime = this.gridTime + (this.stepCount % 2 === 1 ? this._swing * this.stepDuration(pattern) / 2 : 0);
+        this.synth.scheduleEvent(nextTime, (t) => this.step(clock, t));
+    }
+
+    /**
+     * Plays a step's note and schedules its noteOff, keeping track of it until it's sent
+     * @param {{note: number, velocity: number}} step
+     * @param {number} time context time the note starts at
+     * @param {number} endTime context time the note is released at
+     */
+    playStepNote(step, time, endTime) {
+        const pending = {handle: this.synth.startNote(step.note, step.velocity, time), event: null};
+        //added before scheduling, a short note's release can run straight away
+        this.pendingNotes.add(pending);
+        pending.event = this.synth.scheduleEvent(endTime, (t) => {
+            this.pendingNotes.delete(pending);
+            this.synth.releaseNote(pending.handle, t);
+        });
+    }
+
+    /**
+     * Returns a copy of the sequencer's settings (same shape as the constructor options)
+     * @return {Object}
+     */
+    getSettings() {
+        return {
+            bpm: this._bpm, swing: this._swing, loop: this._loop,
+            patterns: this._patterns.map((pattern) => pattern.toJSON()), chain: this._chain.slice()
+        };
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    get bpm() {
+        return this._bpm;
+    }
+
+    set bpm(value) {
+        if (!(value > 0)) {
+            console.log("Sequencer bpm must be above 0: " + value);
+            return;
+        }
+        this._bpm = value;
+    }
+
+    get swing() {
+        return this._swing;
+    }
+
+    set swing(value) {
+        this._swing = Math.min(Math.max(value, 0), 1);
+    }
+
+    get loop() {
+        return this._loop;
+    }
+
+    set loop(value) {
+        this._loop = !!value;
+    }
+
+    get patterns() {
+        return this._patterns;
+    }
+
+    /**
+     * Patterns may be Pattern objects or saved ones (see getSettings())
+     * @param {(Pattern|Object)[]} value
+     */
+    set patterns(value) {
+        this._patterns = value.map((pattern) => pattern instanceof Pattern ? pattern : Pattern.fromJSON(pattern));
+    }
+
+    get chain() {
+        return this._chain;
+    }
+
+    /**
+     * Changing the chain while playing goes on from the same place in the new chain
+     * <br>* Set patterns before the chain that uses them
+     * @param {number[]} value indexes into patterns
+     */
+    set chain(value) {
+        if (!Array.isArray(value) || value.length === 0 || !value.every((index) => Number.isInteger(index) && index >= 0)) {
+            console.log("Unknown sequencer chain: " + value);
+            return;
+        }
+        this._chain = value.slice();
+        if (this.chainIndex >= this._chain.length) this.chainIndex = 0;
+    }
+}
@@ -3,117 +3,574 @@
  * Written by Mirthe_
  *
  * SoundOscillator constructor and createOscillator function
- *
- * Requires audioContext<window.audioContext> object in global scope
+ * * Every node of a soundOscillator is created on the BaseAudioContext it is given (AudioContext or OfflineAudioContext)
+ * * Every node is registered in soundOscillator.nodes (see addNode), dispose() stops and disconnects all of them
+ */
+
+import {createFMOperators} from "./fmVoice.js";
+import {Wavetable, getWavetable, wavetableFrameCurve} from "./wavetable.js";
+
+/**
+ * Settings of an oscillator slot, missing keys fall back to these
+ * <br>type: oscillator waveform, "custom" or "noise", octave/semi/fine: pitch offset (fine in cents),
+ * level: slot gain, voices/detune: unison count and spread in cents,
+ * wavetable: name (see getWavetable) or Wavetable played by "custom" slots
+ * @type {{type: string, octave: number, semi: number, fine: number, level: number, voices: number, detune: number,
+ * wavetable: string|Wavetable}}
+ */
+export const OSC_SLOT_DEFAULTS = {type: "sawtooth", octave: 0, semi: 0, fine: 0, level: 1, voices: 1, detune: 0, wavetable: "basic"};
+
+/**
+ * Voice stages and the stages each one can move to (see SoundOscillator.setStage)
+ * <br>"scheduled" voices are in the note lists ahead of their start time (see Synthesizer.scheduleAheadTime)
+ * <br>Held voices can restart their attack (mono retrigger) or any later stage (envelope times changed while playing)
+ * @type {Object<string, string[]>}
+ */
+export const VOICE_STAGE_TRANSITIONS = {
+    scheduled: ["attack", "decay", "sustain", "release", "stopped"],
+    attack: ["attack", "decay", "sustain", "release", "stopped"],
+    decay: ["attack", "decay", "sustain", "release", "stopped"],
+    sustain: ["attack", "decay", "sustain", "release", "stopped"],
+    release: ["release", "stopped"],
+    stopped: []
+};
+
+/** @type {Map<number, AudioBuffer>} looped white noise shared by every "noise" slot, per sample rate */
+const noiseBuffers = new Map();
+
+/**
+ * Returns the shared white noise buffer for a context's sample rate, creating it on first use
+ * @param {BaseAudioContext} context
+ * @return {AudioBuffer}
+ */
+function getNoiseBuffer(context) {
+    if (noiseBuffers.has(context.sampleRate)) return noiseBuffers.get(context.sampleRate);
+    const length = context.sampleRate * 2;
+    const noiseBuffer = new AudioBuffer({length: length, sampleRate: context.sampleRate, numberOfChannels: 1});
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(context.sampleRate, noiseBuffer);
+    return noiseBuffer;
+}
+
+/**
+ * Creates a PeriodicWave of a standard waveform starting at a phase offset
+ * <br>* Built from the waveform's fourier series with each harmonic k rotated by k * phase
+ * @param {BaseAudioContext} context
+ * @param {"sine" | "square" | "sawtooth" | "triangle"} type
+ * @param {number} phase 0-1 of a cycle
+ * @return {PeriodicWave}
  */
-class SoundOscillator {
+function createPhasedWave(context, type, phase) {
+    const harmonics = 128;
+    const real = new Float32Array(harmonics);
+    const imag = new Float32Array(harmonics);
+    const angle = 2 * Math.PI * phase;
+    for (let k = 1; k < harmonics; k++) {
+        let b = 0;
+        switch (type) {
+            case "square":
+                b = k % 2 === 1 ? 4 / (Math.PI * k) : 0;
+                break;
+            case "sawtooth":
+                b = (k % 2 === 1 ? 2 : -2) / (Math.PI * k);
+                break;
+            case "triangle":
+                b = k % 2 === 1 ? (((k - 1) / 2) % 2 === 0 ? 8 : -8) / (Math.PI * Math.PI * k * k) : 0;
+                break;
+            default:
+                b = k === 1 ? 1 : 0;
+        }
+        real[k] = b * Math.sin(k * angle);
+        imag[k] = b * Math.cos(k * angle);
+    }
+    return context.createPeriodicWave(real, imag);
+}
+
+export class SoundOscillator {
     /**
-     * Object with an oscillator/audioBuffer array + gainNode and filterNode
+     * Object with an oscillator/audioBuffer array + gainNode, filterNode, ampNode and panNode
+     * @param {BaseAudioContext} context context to create the voice's nodes on
      * @param {number} voices
      * @param {number} detune
-     * @param {"synth"|"sampler"} type
+     * @param {"synth"|"sampler"|"fm"|"slots"} type
+     * @param {Object} [zone] SampleMap zone to play for the "sampler" type
      * @constructor
      */
-    constructor(voices = 1, detune = 0, type = "synth") {
+    constructor(context, voices = 1, detune = 0, type = "synth", zone = null) {
+
+        /** @type {BaseAudioContext} */
+        this.context = context;
+
+        /** @type {AudioNode[]} every node the voice has created and not disposed yet (see addNode) */
+        this.nodes = [];
+
+        /**
+         * Lifecycle stages the voice moves to, each from its context time on, in time order (see setStage)
+         * @type {{stage: "scheduled" | "attack" | "decay" | "sustain" | "release" | "stopped", time: number}[]}
+         */
+        this.stageChanges = [{stage: "scheduled", time: 0}];
+
+        /** @type {number|null} context time the voice's release starts at, null until it is released */
+        this.releaseStart = null;
+
+        /** @type {number|null} context time the voice's sources are set to stop at, null until it is released/stolen */
+        this.endTime = null;
 
         this.voices = voices;
         this.detune = detune;
         this.oscillators = [];
 
+        /** @type {Object|null} SampleMap zone played by a "sampler" soundOscillator */
+        this.zone = zone;
+
+        /** @type {boolean} true if the voice plays its sample to the end, ignoring noteOff */
+        this.oneShot = zone !== null && zone.oneShot;
+
+        /**
+         * FM operators of an "fm" soundOscillator (see createFMOperators)
+         * @type {{settings: Object, osc: OscillatorNode, ratioNode: GainNode, envNode: GainNode, deviation: GainNode,
+         * indexNode: GainNode, feedbackNode: GainNode, feedbackDelay: DelayNode}[]}
+         */
+        this.operators = [];
+
+        /**
+         * Oscillator slots of a "slots" soundOscillator (see addSlot), each slot's oscillators are also in this.oscillators
+         * @type {{settings: Object, oscillators: (OscillatorNode|AudioBufferSourceNode)[], frameGains: GainNode[],
+         * panners: StereoPannerNode[], mixNode: GainNode, wavetable: Wavetable|null, frames: number, shapers: WaveShaperNode[]}[]}
+         */
+        this.slots = [];
+
+        /** 0-1 how far unison voices spread across the stereo field */
+        this.stereoWidth = 0;
+
+        /** @type {"linear" | "center" | "edges"} how unison voices are distributed within stereoWidth */
+        this.spreadCurve = "linear";
+
+        /** @type {boolean} start each unison oscillator at a random phase */
+        this.randomPhase = false;
+
+        /** 0-1 position between the frames of "custom" slot wavetables */
+        this.wavetablePosition = 0;
+
+        /** @type {ConstantSourceNode|null} wavetable position, modulatable per voice (see getPositionNode) */
+        this.positionNode = null;
+
+        /** @type {boolean} true once createSOsc has started the oscillators */
+        this.started = false;
+
+        /** @type {number} context time the oscillators start at (later than now for scheduled notes) */
+        this.startTime = 0;
+
         this.setType(type);
 
         this.samples = [];
 
         /** @type {GainNode} */
-        this.gainNode = new GainNode(audioContext);
+        this.gainNode = this.addNode(new GainNode(this.context));
 
         /** @type {BiquadFilterNode} */
-        this.filterNode = new BiquadFilterNode(audioContext);
+        this.filterNode = this.addNode(new BiquadFilterNode(this.context));
+
+        /** @type {GainNode} gain after the filter, modulated by LFO tremolo (separate from the gain envelope) */
+        this.ampNode = this.addNode(new GainNode(this.context));
+
+        /** @type {StereoPannerNode} voice output, connected to the synth's effect chain */
+        this.panNode = this.addNode(new StereoPannerNode(this.context));
+
+        /** @type {Map<LFO, number>} tremolo amount of each LFO routed to ampNode (see LFO.refreshTremolo) */
+        this.tremoloDepths = new Map();
 
         /** @type {number} */
         this.maxOscVol = 1; //want to be able to decrease oscillator volume based on if there's more than one
 
-        const aP = new ConstantSourceNode(audioContext);
-        const dP = new ConstantSourceNode(audioContext);
-        const rP = new ConstantSourceNode(audioContext);
+        const aP = this.addNode(new ConstantSourceNode(this.context));
+        const dP = this.addNode(new ConstantSourceNode(this.context));
+        const rP = this.addNode(new ConstantSourceNode(this.context));
 
         this.envelopeProgress = {attack: aP.offset, decay: dP.offset, release: rP.offset};
 
-        this.masterFreq = new ConstantSourceNode(audioContext);
+        const faP = this.addNode(new ConstantSourceNode(this.context));
+        const fdP = this.addNode(new ConstantSourceNode(this.context));
+        const frP = this.addNode(new ConstantSourceNode(this.context));
+
+        this.filterEnvelopeProgress = {attack: faP.offset, decay: fdP.offset, release: frP.offset};
+
+        /** @type {ConstantSourceNode[]} sources of the progress trackers, started/stopped with the voice */
+        this.progressSources = [aP, dP, rP, faP, fdP, frP];
+
+        /**
+         * Silent node the progress sources feed into the voice output,
+         * so the render thread runs their automation (read back through .value)
+         * @type {GainNode}
+         */
+        this.progressSink = this.addNode(new GainNode(this.context, {gain: 0}));
+        this.progressSources.forEach((source) => source.connect(this.progressSink));
+        this.progressSink.connect(this.panNode);
+
+        /** @type {boolean} true if filterNode.frequency is being driven by the synth's filter envelope */
+        this.filterEnveloped = false;
+
+        /** @type {number} midi velocity the voice was played with */
+        this.velocity = 127;
+
+        /** @type {number} gain envelope peak for this voice's velocity */
+        this.peakGain = 1;
+
+        /** @type {number} multiplier on the gain envelope attack time for this voice's velocity */
+        this.attackScale = 1;
+
+        /** @type {number} order the voice was created in by its Synthesizer (lower is older) */
+        this.voiceID = 0;
+
+        /** @type {number|null} midi note the voice plays (a mono voice moves between notes), set by its Synthesizer */
+        this.note = null;
+
+        this.masterFreq = this.addNode(new ConstantSourceNode(this.context));
+    }
+
+    /**
+     * Registers a node as part of the voice, so dispose() cleans it up
+     * @param {AudioNode} node
+     * @return {AudioNode} the node
+     */
+    addNode(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    /**
+     * Disconnects a node and removes it from the voice (ie. a unison voice taken away while playing)
+     * @param {AudioNode} node
+     */
+    removeNode(node) {
+        node.disconnect();
+        const i = this.nodes.indexOf(node);
+        if (i >= 0) this.nodes.splice(i, 1);
+    }
+
+    /**
+     * Moves the voice to a lifecycle stage at a context time
+     * <br>* Stage changes planned after that time are dropped (ie. the sustain of a voice released during its decay)
+     * @param {"scheduled" | "attack" | "decay" | "sustain" | "release" | "stopped"} stage
+     * @param {number} [time] context time the stage starts at
+     * @return {boolean} false if the stage at that time can't move there (ie. the voice already stopped)
+     */
+    setStage(stage, time = this.context.currentTime) {
+        if (!VOICE_STAGE_TRANSITIONS[this.stageAt(time)].includes(stage)) return false;
+        //only the stage in effect now and the planned ones are kept
+        const now = this.context.currentTime;
+        const current = this.stageChanges.filter((change) => change.time <= now).length - 1;
+        this.stageChanges = this.stageChanges.filter((change, i) => i >= current && change.time <= time);
+        if (this.stageChanges.length === 0 || this.stageChanges[this.stageChanges.length - 1].stage !== stage) {
+            this.stageChanges.push({stage: stage, time: time});
+        }
+        return true;
+    }
+
+    /**
+     * Returns the lifecycle stage of the voice at a context time
+     * @param {number} time
+     * @return {"scheduled" | "attack" | "decay" | "sustain" | "release" | "stopped"}
+     */
+    stageAt(time) {
+        let stage = this.stageChanges[0].stage;
+        this.stageChanges.forEach((change) => {
+            if (change.time <= time) stage = change.stage;
+        });
+        return stage;
+    }
+
+    /**
+     * Lifecycle stage of the voice on the audio clock (see setStage)
+     * @return {"scheduled" | "attack" | "decay" | "sustain" | "release" | "stopped"}
+     */
+    get stage() {
+        return this.stageAt(this.context.currentTime);
+    }
+
+    /**
+     * Envelope state of the voice, same as its stage
+     * @return {"scheduled" | "attack" | "decay" | "sustain" | "release" | "stopped"}
+     */
+    get state() {
+        return this.stage;
+    }
+
+    /**
+     * Starts every source of the voice (oscillators, masterFreq, progress trackers, wavetable position)
+     * @param {number} time context time to start at, 0 starts now
+     */
+    start(time = 0) {
+        this.startTime = time;
+        this.masterFreq.start(time);
+        this.progressSources.forEach((source) => source.start(time));
+        if (this.positionNode) this.positionNode.start(time);
+        this.oscillators.forEach((osc) => {osc.start(time)});
+        this.started = true;
+    }
+
+    /**
+     * Stops and disconnects every node of the voice, leaving it in the "stopped" stage
+     * <br>* The voice can't be played again, its nodes are left for garbage collection
+     */
+    dispose() {
+        this.setStage("stopped");
+        this.nodes.forEach((node) => {
+            //sources are all started by start(), or when they're added to a started voice
+            if (node instanceof AudioScheduledSourceNode && this.started) node.stop(0);
+            node.disconnect();
+        });
+        this.nodes = [];
     }
 
     /**
      * Sets oscillators type
-     * @param {"synth" | "sampler"} type
+     * <br>* "synth" creates oscillator nodes, "sampler" creates audioBufferSource nodes for this.zone
+     * <br>* "fm" and "slots" create none, createFMOperators()/addSlot() add them afterwards
+     * @param {"synth" | "sampler" | "fm" | "slots"} type
      */
     setType(type = "synth"){
         const oscillators = [];
-        if(type === "synth"){
-            let evens = 1;
-            for(let i = 0; i < this.voices; i ++){
-                let osc = audioContext.createOscillator();
-                if(i>0){
-                    if(i%2===1)osc.detune.value = this.detune * evens;
-                    else{
-                        osc.detune.value = this.detune * -evens;
-                        evens++;
-                    }
+        this.oscillators = oscillators;
+        if (type === "fm" || type === "slots") return;
+        for(let i = 0; i < this.voices; i ++){
+            let osc;
+            if(type === "sampler"){
+                osc = this.addNode(this.context.createBufferSource());
+                osc.buffer = this.zone.buffer;
+                osc.loop = this.zone.loop && !this.zone.oneShot;
+                osc.loopStart = this.zone.loopStart;
+                osc.loopEnd = this.zone.loopEnd;
+            }
+            else osc = this.addNode(this.context.createOscillator());
+            osc.detune.value = this.voiceDetune(i);
+            oscillators.push(osc);
+        }
+    }
+
+    /**
+     * Returns detune in cents for voice index i
+     * <br>* Voices alternate above/below the first voice, spreading by this.detune each pair
+     * @param {number} i
+     * @return {number}
+     */
+    voiceDetune(i, detune = this.detune){
+        if(i === 0) return 0;
+        let evens = Math.ceil(i / 2);
+        return i % 2 === 1 ? detune * evens : detune * -evens;
+    }
+
+    /**
+     * Adds an oscillator slot: settings.voices unison oscillators -> unison panners -> slot mixNode -> gainNode
+     * <br>* Pitch offsets are set on each oscillator's detune, so they stay in tune as masterFreq moves
+     * <br>* "noise" slots play one looped noise buffer and ignore pitch
+     * @param {Object} settings slot settings (see OSC_SLOT_DEFAULTS)
+     * @return {Object} the new slot
+     */
+    addSlot(settings) {
+        settings = Object.assign({}, OSC_SLOT_DEFAULTS, settings);
+        const slot = {
+            settings: settings, oscillators: [], frameGains: [], panners: [],
+            mixNode: this.addNode(new GainNode(this.context, {gain: settings.level})),
+            wavetable: null, frames: 1, shapers: []
+        };
+        if (settings.type === "custom") {
+            slot.wavetable = settings.wavetable instanceof Wavetable ? settings.wavetable : getWavetable(settings.wavetable);
+            if (!slot.wavetable || slot.wavetable.frames.length === 0) {
+                console.log("Unknown wavetable: " + settings.wavetable + ", using \"basic\"");
+                slot.wavetable = getWavetable("basic");
+            }
+            slot.frames = slot.wavetable.frames.length;
+            if (slot.frames > 1) {
+                //frames crossfade by wavetable position: positionNode -> frame curve -> each unison voice's frame gain
+                const positionNode = this.getPositionNode();
+                for (let f = 0; f < slot.frames; f++) {
+                    const shaper = this.addNode(new WaveShaperNode(this.context, {curve: wavetableFrameCurve(f, slot.frames)}));
+                    positionNode.connect(shaper);
+                    slot.shapers.push(shaper);
                 }
-                oscillators.push(osc);
             }
         }
-        else{
-            //TO-DO: create audioBuffer nodes based on file
-            // duplicated code for testing
-            let evens = 1;
-            for(let i = 0; i < this.voices; i ++){
-                let osc = audioContext.createOscillator();
-                if(i>0){
-                    if(i%2===1)osc.detune.value = this.detune * evens;
-                    else{
-                        osc.detune.value = this.detune * -evens;
-                        evens++;
-                    }
+        slot.mixNode.connect(this.gainNode);
+        this.slots.push(slot);
+        this.setSlotVoices(slot, settings.type === "noise" ? 1 : settings.voices);
+        return slot;
+    }
+
+    /**
+     * Returns the wavetable position source of the voice, creating it on first use (it starts with the voice)
+     * @return {ConstantSourceNode}
+     */
+    getPositionNode() {
+        if (!this.positionNode) {
+            this.positionNode = this.addNode(new ConstantSourceNode(this.context, {offset: this.wavetablePosition}));
+            if (this.started) this.positionNode.start(this.startTime);
+        }
+        return this.positionNode;
+    }
+
+    /**
+     * Creates one oscillator of a slot (for "custom" slots, the oscillator of one wavetable frame)
+     * @param {Object} slot one of this.slots
+     * @param {number} frame wavetable frame index
+     * @param {number} phase start phase 0-1, used if this.randomPhase is on
+     * @return {OscillatorNode|AudioBufferSourceNode}
+     */
+    createSlotOscillator(slot, frame, phase) {
+        if (slot.settings.type === "noise") {
+            return this.addNode(new AudioBufferSourceNode(this.context, {buffer: getNoiseBuffer(this.context), loop: true}));
+        }
+        const osc = this.addNode(new OscillatorNode(this.context, {frequency: 0}));
+        if (slot.wavetable) osc.setPeriodicWave(slot.wavetable.getPeriodicWave(this.context, frame, this.randomPhase ? phase : 0));
+        else if (this.randomPhase) osc.setPeriodicWave(createPhasedWave(this.context, slot.settings.type, phase));
+        else osc.type = slot.settings.type;
+        this.masterFreq.connect(osc.frequency);
+        return osc;
+    }
+
+    /**
+     * Adds or removes unison voices of a slot, can be used while the voice is playing
+     * <br>* Each unison voice has slot.frames oscillators (one per wavetable frame) and a panner
+     * <br>* The first unison voice is never removed (its oscillator carries the voice's ended event)
+     * @param {Object} slot one of this.slots
+     * @param {number} count number of unison voices
+     */
+    setSlotVoices(slot, count) {
+        if (slot.settings.type === "noise") count = 1;
+        count = Math.max(Math.round(count), 1);
+        while (slot.panners.length > count) {
+            for (let f = 0; f < slot.frames; f++) {
+                const osc = slot.oscillators.pop();
+                osc.stop(0);
+                this.removeNode(osc);
+                this.oscillators.splice(this.oscillators.indexOf(osc), 1);
+                if (slot.shapers.length > 0) this.removeNode(slot.frameGains.pop());
+            }
+            this.removeNode(slot.panners.pop());
+        }
+        while (slot.panners.length < count) {
+            const panner = this.addNode(new StereoPannerNode(this.context));
+            const phase = Math.random();
+            for (let f = 0; f < slot.frames; f++) {
+                const osc = this.createSlotOscillator(slot, f, phase);
+                if (slot.shapers.length > 0) {
+                    const frameGain = this.addNode(new GainNode(this.context, {gain: 0}));
+                    slot.shapers[f].connect(frameGain.gain);
+                    osc.connect(frameGain);
+                    frameGain.connect(panner);
+                    slot.frameGains.push(frameGain);
                 }
-                oscillators.push(osc);
+                else osc.connect(panner);
+                slot.oscillators.push(osc);
+                this.oscillators.push(osc);
+                //voices added to a playing soundOscillator start with it, createSOsc starts the rest
+                if (this.started) osc.start(this.startTime);
             }
+            panner.connect(slot.mixNode);
+            slot.panners.push(panner);
         }
+        slot.settings.voices = count;
+        this.setSlotDetune(slot, slot.settings.detune);
+        this.refreshUnisonPan();
+    }
 
-        this.oscillators = oscillators;
+    /**
+     * Sets the unison detune spread of a slot (plus its octave/semi/fine offset) on each of its oscillators
+     * @param {Object} slot one of this.slots
+     * @param {number} detune spread in cents
+     */
+    setSlotDetune(slot, detune) {
+        slot.settings.detune = detune;
+        if (slot.settings.type === "noise") return;
+        const offset = (slot.settings.octave * 1200) + (slot.settings.semi * 100) + slot.settings.fine;
+        slot.oscillators.forEach((osc, i) => {
+            osc.detune.value = offset + this.voiceDetune(Math.floor(i / slot.frames), detune);
+        });
     }
 
-    //will likely move to synthesizer and take retrieved audioBuffers as params
-    async getFile(audioContext, filepath) {
-        const response = await fetch(filepath);
-        const arrayBuffer = await response.arrayBuffer();
-        return await audioContext.decodeAudioData(arrayBuffer);
+    /**
+     * Returns the pan position of unison voice i
+     * <br>* Voices sit on the same side as their detune (see voiceDetune), the outermost pair at +-stereoWidth
+     * <br>* spreadCurve "center" pulls inner voices towards the middle, "edges" pushes them outwards
+     * @param {number} i
+     * @param {number} count number of unison voices
+     * @return {number} -1 to 1
+     */
+    unisonPan(i, count) {
+        if (i === 0 || count < 2) return 0;
+        let position = Math.ceil(i / 2) / Math.ceil((count - 1) / 2);
+        if (this.spreadCurve === "center") position = position * position;
+        else if (this.spreadCurve === "edges") position = Math.sqrt(position);
+        return (i % 2 === 1 ? 1 : -1) * position * this.stereoWidth;
+    }
+
+    /**
+     * Re-applies stereoWidth/spreadCurve to every unison panner
+     */
+    refreshUnisonPan() {
+        this.slots.forEach((slot) => {
+            slot.panners.forEach((panner, i) => {panner.pan.value = this.unisonPan(i, slot.panners.length)});
+        });
     }
 }
 
 /**
  * Creates and initializes a new soundOscillator with params and proper contextual connections
+ * @param {BaseAudioContext} context context to create the voice on
  * @param {number} voices number of oscillator nodes to create as parallel voices
  * @param {number} detune voice detuning base value in cents
- * @param {"sine" | "square" | "triangle" | "sawtooth" | "custom" } oType oscillator type
+ * @param {"sine" | "square" | "triangle" | "sawtooth" | "custom" | "sampler" | "fm" } oType oscillator type
  * @param {number} oVol max gain for envelope
  * @param {number} frequency frequency for oscillator to play at in hz
  * @param {"allpass" | "bandpass" | "highpass" | "highshelf" | "lowpass" | "lowshelf" | "notch" | "peaking"} fType  biquad filter type
  * @param {number} fFrequency base filter frequency in hz
  * @param {number} fQValue Q value to apply to filter
+ * @param {Object} [zone] SampleMap zone to play if oType is "sampler"
+ * @param {{operators: Object[], algorithm: string}} [fm] operator settings and algorithm if oType is "fm"
+ * @param {Object[]} [slots] oscillator slots (see OSC_SLOT_DEFAULTS) for waveform oTypes,
+ * defaults to one slot of oType with voices and detune
+ * @param {{stereoWidth: number, spreadCurve: string, randomPhase: boolean, wavetablePosition: number}} [slotOptions]
+ * unison spread and wavetable position for slots
+ * @param {number} [startTime] context time to start the voice at, 0 starts it now
  * @returns {SoundOscillator} A new SoundOscillator object with given params
  */
-function createSOsc(voices = 1, detune = 0,
+export function createSOsc(context, voices = 1, detune = 0,
     oType = "sine", oVol= 1, frequency,
-    fType= "lowpass", fFrequency = 24000, fQValue)
+    fType= "lowpass", fFrequency = 24000, fQValue, zone = null, fm = null, slots = null, slotOptions = null,
+    startTime = 0)
 {
-    const o = new SoundOscillator(voices, detune);
+    const type = oType === "sampler" || oType === "fm" ? oType : "slots";
+    const o = new SoundOscillator(context, voices, detune, type, zone);
 
-    o.oscillators.forEach((osc) => {osc.type = oType});
-    o.oscillators.forEach((osc) => {osc.frequency.value = frequency})
-    for (let osc in o.oscillators){
-        o.masterFreq.connect(o.oscillators[osc].frequency);
+    if (oType === "sampler") {
+        //masterFreq carries the note frequency, scaled to a playback rate relative to the zone's root note
+        const rootFreq = 440 * Math.pow(2, (zone.rootNote - 69) / 12);
+        o.masterFreq.offset.value = frequency;
+        o.rateNode = o.addNode(new GainNode(context, {gain: 1 / rootFreq}));
+        o.masterFreq.connect(o.rateNode);
+        o.oscillators.forEach((osc) => {
+            osc.playbackRate.value = 0;
+            o.rateNode.connect(osc.playbackRate);
+            osc.connect(o.gainNode);
+        });
+    }
+    else if (oType === "fm") {
+        o.masterFreq.offset.value = frequency;
+        createFMOperators(o, fm.operators, fm.algorithm);
+    }
+    else {
+        if (!slots) slots = [{type: oType, voices: voices, detune: detune}];
+        if (slotOptions) {
+            o.stereoWidth = slotOptions.stereoWidth;
+            o.spreadCurve = slotOptions.spreadCurve;
+            o.randomPhase = slotOptions.randomPhase;
+            o.wavetablePosition = slotOptions.wavetablePosition;
+        }
+        //masterFreq carries the note frequency so it can be glided/modulated for all voices at once
+        o.masterFreq.offset.value = frequency;
+        slots.forEach((slot) => o.addSlot(slot));
     }
-    o.masterFreq.start(0);
 
     o.filterNode.type = fType;
     o.filterNode.frequency.value = fFrequency;
@@ -122,10 +579,11 @@ function createSOsc(voices = 1, detune = 0,
     o.gainNode.gain.value = 0.001;
     o.maxOscVol = oVol; //to be used for anti-clip later on
 
-    o.oscillators.forEach((osc) => {osc.connect(o.gainNode)});
     o.gainNode.connect(o.filterNode);
+    o.filterNode.connect(o.ampNode);
+    o.ampNode.connect(o.panNode);
 
-    o.oscillators.forEach((osc) => {osc.start(0)});
+    o.start(startTime);
 
     return o;
 }
@@ -5,34 +5,227 @@
  * Synthesizer object with noteOn(note) and noteOff(note) functions
  * * Contains parameters/variables for oscillator type, voices, detune, enveloping, and filtering
  * * Current oscillator and envelope parameters are applied with each noteOn() to a new soundOscillator.
- * * Supports (hopefully) unlimited polyphony!
+ * * Supports (hopefully) unlimited polyphony, or a maxPolyphony limit with voice stealing!
+ * * Runs on the context it is given (or its destination's context), any number of synths/contexts can coexist
  *
  * ### !!!!!!!!!! IMPORTANT INFO BELOW !!!!!!!!!!!
- * MUST HAVE AN `audioContext` OBJECT IN SCRIPT USING THIS OBJECT.
- * * `audioContext` must be initialized to `window.audioContext` by an event listener.
+ * A realtime AudioContext must be created (or resumed) from a user gesture event listener.
  *
  * Above required by Web Audio API specification
  */
 
+import {createSOsc} from "./soundOscillator.js";
+import {Tuning} from "./tuning.js";
+import {LFO} from "./lfo.js";
+import {FM_ALGORITHMS, setFMOperatorFrequency} from "./fmVoice.js";
+import {Wavetable} from "./wavetable.js";
+
+/**
+ * Patch format version written by getPatch(), bumped when a change breaks older patches
+ * @type {number}
+ */
+export const SYNTH_PATCH_VERSION = 1;
+
+/**
+ * Patch sections and their keys, mapped to the Synthesizer setter each key is applied through
+ * @type {Object<string, Object<string, string>>}
+ */
+export const SYNTH_PATCH_FIELDS = {
+    oscillator: {type: "oscType", voices: "voices", detune: "detune", wavetable: "wavetable", wavetablePosition: "wavetablePosition"},
+    polyphony: {max: "maxPolyphony", stealPolicy: "stealPolicy"},
+    stereo: {width: "stereoWidth", spreadCurve: "spreadCurve", randomPhase: "randomPhase", pan: "pan", panKeyTrack: "panKeyTrack"},
+    slots: {oscillators: "oscSlots", subLevel: "subLevel", subOctave: "subOctave", subType: "subType", noiseLevel: "noiseLevel"},
+    fm: {algorithm: "fmAlgorithm", operators: "fmOperators"},
+    voicing: {mode: "voiceMode", notePriority: "notePriority", glideTime: "glideTime", glideMode: "glideMode"},
+    gainEnvelope: {maxVolume: "maxVolume", depth: "geDepth", attack: "geA", decay: "geD", sustain: "geS", release: "geR"},
+    filter: {type: "filterType", frequency: "filterFrequency", bandwidth: "filterBandwidth"},
+    filterEnvelope: {enabled: "envelopeFilter", depth: "feDepth", attack: "feA", decay: "feD", sustain: "feS", release: "feR"},
+    velocity: {curve: "velocityCurve", sensitivity: "velocitySensitivity", toFilter: "velocityToFilter", toAttack: "velocityToAttack"}
+};
+
+/**
+ * Registry of the synth's single-value parameters, keyed by their setter (see Synthesizer.setParam)
+ * <br>type: "number", "integer", "enum" (one of options) or "boolean"
+ * <br>scale: how controls spread min-max, "exponential" for frequencies and Q
+ * <br>default: value of a new Synthesizer (oscType/filterType come from its constructor)
+ * <br>group: SYNTH_PATCH_FIELDS section the parameter is saved in
+ * <br>* List/object parameters (SYNTH_LIST_PARAMS, sampleMap) are set from code
+ * @type {Object<string, {label: string, type: "number"|"integer"|"enum"|"boolean", min?: number, max?: number,
+ * step?: number, unit?: string, scale?: "linear"|"exponential", default: *, options?: string[], group: string}>}
+ */
+export const SYNTH_PARAMS = {
+    //sampler isn't listed, it needs a sampleMap loaded first
+    oscType: {label: "Oscillator type", type: "enum", options: ["sine", "square", "sawtooth", "triangle", "custom", "fm"], default: "sine", group: "oscillator"},
+    voices: {label: "Voices", type: "integer", min: 1, max: 6, step: 1, default: 1, group: "oscillator"},
+    detune: {label: "Detune", type: "number", min: -1200, max: 1200, step: 5, unit: "cents", scale: "linear", default: 0, group: "oscillator"},
+    wavetablePosition: {label: "Wavetable position", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0, group: "oscillator"},
+    referenceFrequency: {label: "A4 pitch", type: "number", min: 415, max: 466, step: 0.1, unit: "hz", scale: "linear", default: 440, group: "oscillator"},
+    maxPolyphony: {label: "Max polyphony", type: "integer", min: 0, max: 32, step: 1, unit: "voices, 0 is unlimited", default: 0, group: "polyphony"},
+    stealPolicy: {label: "Voice stealing", type: "enum", options: ["oldest", "quietest", "same-note", "releasing"], default: "oldest", group: "polyphony"},
+    stereoWidth: {label: "Stereo width", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0, group: "stereo"},
+    spreadCurve: {label: "Spread curve", type: "enum", options: ["linear", "center", "edges"], default: "linear", group: "stereo"},
+    randomPhase: {label: "Random phase", type: "boolean", default: false, group: "stereo"},
+    pan: {label: "Pan", type: "number", min: -1, max: 1, step: 0.01, scale: "linear", default: 0, group: "stereo"},
+    panKeyTrack: {label: "Pan key tracking", type: "number", min: -0.5, max: 0.5, step: 0.01, unit: "per octave", scale: "linear", default: 0, group: "stereo"},
+    subLevel: {label: "Sub level", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0, group: "slots"},
+    subOctave: {label: "Sub octave", type: "integer", min: -2, max: -1, step: 1, default: -1, group: "slots"},
+    subType: {label: "Sub waveform", type: "enum", options: ["sine", "square", "triangle", "sawtooth"], default: "square", group: "slots"},
+    noiseLevel: {label: "Noise level", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0, group: "slots"},
+    fmAlgorithm: {label: "FM algorithm", type: "enum", options: Object.keys(FM_ALGORITHMS), default: "stack", group: "fm"},
+    voiceMode: {label: "Voice mode", type: "enum", options: ["poly", "mono", "legato"], default: "poly", group: "voicing"},
+    notePriority: {label: "Note priority", type: "enum", options: ["last", "low", "high"], default: "last", group: "voicing"},
+    glideTime: {label: "Glide time", type: "number", min: 0, max: 2000, step: 5, unit: "ms", scale: "linear", default: 0, group: "voicing"},
+    glideMode: {label: "Glide mode", type: "enum", options: ["legato", "always"], default: "legato", group: "voicing"},
+    maxVolume: {label: "Volume", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 1, group: "gainEnvelope"},
+    geDepth: {label: "Envelope depth", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 1, group: "gainEnvelope"},
+    geA: {label: "Attack", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 96, group: "gainEnvelope"},
+    geD: {label: "Decay", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 224, group: "gainEnvelope"},
+    geS: {label: "Sustain", type: "number", min: 0.01, max: 1, step: 0.01, scale: "linear", default: 0.25, group: "gainEnvelope"},
+    geR: {label: "Release", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 1080, group: "gainEnvelope"},
+    filterType: {label: "Filter type", type: "enum", options: ["lowpass", "highpass", "bandpass", "notch", "allpass", "lowshelf", "highshelf", "peaking"], default: "lowpass", group: "filter"},
+    filterFrequency: {label: "Cutoff", type: "number", min: 20, max: 24000, step: 1, unit: "hz", scale: "exponential", default: 24000, group: "filter"},
+    filterBandwidth: {label: "Resonance", type: "number", min: 0.1, max: 30, step: 0.1, unit: "Q", scale: "exponential", default: 1, group: "filter"},
+    envelopeFilter: {label: "Filter envelope", type: "boolean", default: false, group: "filterEnvelope"},
+    feDepth: {label: "Envelope depth", type: "number", min: -10000, max: 10000, step: 10, unit: "hz", scale: "linear", default: 0, group: "filterEnvelope"},
+    feA: {label: "Attack", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 1, group: "filterEnvelope"},
+    feD: {label: "Decay", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 1, group: "filterEnvelope"},
+    feS: {label: "Sustain", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0.9, group: "filterEnvelope"},
+    feR: {label: "Release", type: "number", min: 0, max: 5000, step: 5, unit: "ms", scale: "linear", default: 1, group: "filterEnvelope"},
+    velocityCurve: {label: "Velocity curve", type: "enum", options: ["linear", "exponential", "logarithmic", "fixed"], default: "linear", group: "velocity"},
+    velocitySensitivity: {label: "Velocity sensitivity", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 1, group: "velocity"},
+    velocityToFilter: {label: "Velocity to cutoff", type: "number", min: 0, max: 4800, step: 10, unit: "cents", scale: "linear", default: 0, group: "velocity"},
+    velocityToAttack: {label: "Velocity to attack", type: "number", min: 0, max: 1, step: 0.01, scale: "linear", default: 0, group: "velocity"}
+};
+
+/**
+ * List/object parameters that emit paramchange like SYNTH_PARAMS, but have no control info
+ * <br>* Their values are copies (tuning/wavetable objects as they are), a change is a different JSON
+ * <br>* setOscSlot()/setFMOperator() emit the whole oscSlots/fmOperators list
+ * <br>* lfos is emitted by addLfo()/removeLfo() with every LFO's getSettings(), LFO setters aren't followed
+ * @type {string[]}
+ */
+export const SYNTH_LIST_PARAMS = ["oscSlots", "fmOperators", "tuning", "wavetable", "lfos"];
+
+/**
+ * Events a Synthesizer emits (see Synthesizer.on), every event object has its type and an audio context time
+ * <br>Voice events of scheduled notes are emitted when the context clock reaches their time (see emitAt)
+ * <br>voicestart: {note, velocity, voice, fromNote} time is when the voice starts,
+ * a mono voice moving to another note starts again with the note it left as fromNote
+ * <br>voicerelease: {note, voice} time is when the release starts
+ * <br>voiceend: {note, voice} time is when the voice stopped (its release/fade end, or now for panic)
+ * <br>voicesteal: {note, voice} time is when the stolen voice starts fading out
+ * <br>paramchange: {name, value, oldValue, source} name is a SYNTH_PARAMS or SYNTH_LIST_PARAMS key, source is "code", "patch", "midi", "ui" or any name given to withParamSource()
+ * <br>patchload: {patch}
+ * <br>panic: {}
+ * @type {string[]}
+ */
+export const SYNTH_EVENTS = ["voicestart", "voicerelease", "voiceend", "voicesteal", "paramchange", "patchload", "panic"];
+
+/**
+ * Factories for custom insert effects saved in patches through their toPatch() function
+ * <br>Register as SYNTH_PATCH_EFFECTS[type] = (context, effectPatch) => effect (context is the synth's)
+ * @type {Object<string, function(BaseAudioContext, Object): (AudioNode|Object)>}
+ */
+export const SYNTH_PATCH_EFFECTS = {};
+
+/** samples an OfflineAudioContext renders between suspends */
+const RENDER_QUANTUM = 128;
+
+/**
+ * Callbacks waiting on a suspend of an OfflineAudioContext, by render frame (see wakeOffline)
+ * @type {WeakMap<OfflineAudioContext, Map<number, function[]>>}
+ */
+const offlineWakes = new WeakMap();
+
+/**
+ * Calls a callback once an OfflineAudioContext has rendered up to a time (rounded up to the render quantum)
+ * <br>* Suspends the render, runs every callback waiting on that frame (any synth on the context), then resumes
+ * <br>* Times past the end of the render never call back
+ * @param {OfflineAudioContext} context
+ * @param {number} time context time in seconds
+ * @param {function} callback
+ */
+function wakeOffline(context, time, callback) {
+    //suspends have to be on a quantum the render hasn't reached yet
+    const quantum = Math.max(Math.ceil(time * context.sampleRate / RENDER_QUANTUM),
+        Math.floor(context.currentTime * context.sampleRate / RENDER_QUANTUM) + 1);
+    const frame = quantum * RENDER_QUANTUM;
+    if (frame >= context.length) return;
+    if (!offlineWakes.has(context)) offlineWakes.set(context, new Map());
+    const wakes = offlineWakes.get(context);
+    if (wakes.has(frame)) {
+        wakes.get(frame).push(callback);
+        return;
+    }
+    const callbacks = [callback];
+    wakes.set(frame, callbacks);
+    context.suspend(frame / context.sampleRate).then(() => {
+        wakes.delete(frame);
+        callbacks.forEach((wake) => wake());
+        context.resume();
+    }, () => {
+        //the frame is already suspended by someone else, wait for the next one
+        wakes.delete(frame);
+        callbacks.forEach((wake) => wakeOffline(context, (frame + RENDER_QUANTUM) / context.sampleRate, wake));
+    });
+}
+
+/**
+ * Calls a callback once a context's clock reaches a time
+ * <br>* A realtime context waits on the ended event of a silent ConstantSourceNode,
+ * an OfflineAudioContext suspends its render (see wakeOffline)
+ * @param {BaseAudioContext} context
+ * @param {number} time context time in seconds
+ * @param {function} callback
+ */
+function wakeAt(context, time, callback) {
+    if (context instanceof OfflineAudioContext) {
+        wakeOffline(context, time, callback);
+        return;
+    }
+    const timer = new ConstantSourceNode(context, {offset: 0});
+    timer.connect(context.destination);
+    timer.addEventListener("ended", () => {
+        timer.disconnect();
+        callback();
+    });
+    timer.start();
+    timer.stop(time);
+}
+
 /**
  * Synthesizer object containing
  * SoundOscillators, Notes, Effects, and Parameters
  * * Trigger a voice to play via noteOn(midiNote)
  * * Trigger a voice to release via noteOff(midiNote)
  * * Get human-readable note statistics via logNotesSummary()
- * @param {"sine" | "square" | "triangle" | "sawtooth" | "custom" } oscType
+ * @param {AudioNode|null} destination node the effect chain ends in, null leaves the synth unconnected
+ * @param {"sine" | "square" | "triangle" | "sawtooth" | "custom" | "sampler" | "fm" } oscType
  * @param {"allpass" | "bandpass" | "highpass" | "highshelf" | "lowpass" | "lowshelf" | "notch" | "peaking"} filterType
+ * @param {BaseAudioContext} [context] context to run on, defaults to destination.context
  * @constructor
  */
 
-class Synthesizer {
-    constructor(destination, oscTypeI = "sine", filterType = "lowpass") {
+export class Synthesizer {
+    constructor(destination, oscTypeI = "sine", filterType = "lowpass", context = null) {
+        if (!context && !destination) throw new Error("Synthesizer needs a destination node or a context");
+        if (context && destination && destination.context !== context) {
+            throw new Error("Synthesizer destination is on a different context");
+        }
+
         /**
-         * Destination node for soundOscillators to connect to
+         * Destination node for the end of the effect chain to connect to
          * @private
          */
         this._destination = destination;
 
+        /**
+         * Context every node of the synth is created on, and whose clock envelopes/releases are scheduled by
+         * <br>* Given to the constructor or taken from destination, an OfflineAudioContext renders the synth offline
+         * @type {BaseAudioContext}
+         */
+        this.context = context || destination.context;
+
         /**
          * List containing all member nodes/insert effects for
          * interacting with the Synthesizer object
@@ -40,6 +233,54 @@ class Synthesizer {
          */
         this.effectList = [];
 
+        /**
+         * Effects in effectList that are skipped when wiring the chain
+         * @type {Set<AudioNode>}
+         */
+        this.bypassedEffects = new Set();
+
+        /**
+         * [from, to] pairs of connections made by reconnectEffects()
+         * @type {[AudioNode, AudioNode][]}
+         */
+        this.chainConnections = [];
+
+        /**
+         * Gain node every soundOscillator connects to, heads the insert effect chain
+         * @type {GainNode}
+         */
+        this.voiceBus = new GainNode(this.context);
+
+        /**
+         * Time in ms voiceBus fades out/in for when the effect chain is rewired while voices are sounding
+         * @type {number}
+         */
+        this.effectFadeTime = 10;
+
+        /**
+         * Context time the pending effect chain rewire reconnects at, null if none pending
+         * @type {number|null}
+         */
+        this.effectRewireTime = null;
+
+        /**
+         * Keymap of samples played when oscType is "sampler"
+         * @type {SampleMap|null}
+         */
+        this.sampleMap = null;
+
+        /**
+         * LFOs connected to every voice (see addLfo)
+         * @type {LFO[]}
+         */
+        this.lfos = [];
+
+        /**
+         * Tuning used for note frequencies (set through this.tuning to retune held notes)
+         * @type {Tuning}
+         */
+        this._tuning = new Tuning();
+
         /**
          * Below note lists map midi notes(index) to soundOscillator[]
          */
@@ -58,11 +299,77 @@ class Synthesizer {
         this.noteOffList.splice(0);
 
         /**
-         * Array of ID's of currently running note release timeOuts
-         * @type {number[]}
+         * Notes held in "mono"/"legato" voiceMode, in the order they were pressed
+         * @type {{note: number, velocity: number}[]}
+         */
+        this.heldNoteStack = [];
+
+        /**
+         * The voice playing in "mono"/"legato" voiceMode
+         * @type {{note: number, soundOscillator: SoundOscillator}|null}
+         */
+        this.monoVoice = null;
+
+        /**
+         * Last note played in "mono"/"legato" voiceMode, glided from with glideMode "always"
+         * @type {number|null}
+         */
+        this.lastMonoNote = null;
+
+        /**
+         * Note events scheduled for a future time, in time order (see scheduleEvent)
+         * @type {{time: number, callback: function(number)}[]}
+         */
+        this.scheduledEvents = [];
+
+        /**
+         * Seconds before its time that a scheduled event is played (see runScheduledEvents)
+         * <br>* The event's audio still starts at its exact time, this only has to cover main thread delays
+         * @type {number}
+         */
+        this.scheduleAheadTime = 0.1;
+
+        /**
+         * Context time the scheduler is set to wake up at, null if it isn't waiting
+         * @type {number|null}
+         */
+        this.schedulerWakeTime = null;
+
+        /**
+         * Every voice that hasn't been disposed yet: held, releasing, or stolen and fading out (see checkLeaks)
+         * @type {Set<SoundOscillator>}
          */
-        this.timeOutList = [];
-        this.timeOutList.splice(0);
+        this.liveVoices = new Set();
+
+        /**
+         * Number of voices created so far, used to order voices by age
+         * @type {number}
+         */
+        this.voiceCount = 0;
+
+        /**
+         * Time in ms a stolen voice fades out over
+         * @type {number}
+         */
+        this.stealFadeTime = 5;
+
+        /**
+         * Listeners added with on(), by event type
+         * @type {Object<string, function(Object)[]>}
+         */
+        this.eventListeners = {};
+
+        /**
+         * Voice events waiting for their time on the audio clock, in time order (see emitAt)
+         * @type {{type: string, event: Object}[]}
+         */
+        this.timedEvents = [];
+
+        /**
+         * Source given to paramchange events, "code" unless set for a while by withParamSource()
+         * @type {string}
+         */
+        this.paramSource = "code";
 
         // ------- Synth Params ------- //
 
@@ -70,12 +377,81 @@ class Synthesizer {
         this._filterType = filterType;
 
         this._maxVolume = 1;
+        /** max number of sounding voices (held + releasing), 0 for no limit */
+        this._maxPolyphony = 0;
+        /** @type {"oldest" | "quietest" | "same-note" | "releasing"} */
+        this._stealPolicy = "oldest";
+
+        /** @type {"poly" | "mono" | "legato"} */
+        this._voiceMode = "poly";
+        /** @type {"last" | "low" | "high"} which held note plays in mono/legato voiceMode */
+        this._notePriority = "last";
+        /** portamento time in ms */
+        this._glideTime = 0;
+        /** @type {"always" | "legato"} glide on every note, or only between overlapping notes */
+        this._glideMode = "legato";
+
         this._voices = 1;
         this._detune = 0;
 
+        /**
+         * Oscillator slots mixed in each waveform voice (see OSC_SLOT_DEFAULTS), empty plays one oscType slot
+         * with this.voices/this.detune
+         * @type {Object[]}
+         */
+        this._oscSlots = [];
+        /** sub oscillator gain, 0 is off */
+        this._subLevel = 0;
+        /** sub oscillator octave offset (-1 or -2) */
+        this._subOctave = -1;
+        /** @type {"sine" | "square" | "triangle" | "sawtooth"} */
+        this._subType = "square";
+        /** white noise gain, 0 is off */
+        this._noiseLevel = 0;
+
+        /** @type {string|Wavetable} wavetable name (see getWavetable) or Wavetable played by the "custom" oscType */
+        this._wavetable = "basic";
+        /** 0-1 position between wavetable frames */
+        this._wavetablePosition = 0;
+
+        /** 0-1 how far unison voices spread across the stereo field */
+        this._stereoWidth = 0;
+        /** @type {"linear" | "center" | "edges"} how unison voices are distributed within stereoWidth */
+        this._spreadCurve = "linear";
+        /** start each unison oscillator at a random phase */
+        this._randomPhase = false;
+        /** -1 to 1 pan of every note */
+        this._pan = 0;
+        /** pan added per octave away from middle C (note 60), negative pans high notes left */
+        this._panKeyTrack = 0;
+
         this._filterFrequency = 24000.0;
         this._filterBandwidth = 1;
 
+        // ------ Velocity Params ------ //
+
+        /** @type {"linear" | "exponential" | "logarithmic" | "fixed"} */
+        this._velocityCurve = "linear";
+        /** 0-1 amount velocity scales the envelope peak by */
+        this._velocitySensitivity = 1;
+        /** filter cutoff offset in cents at full velocity */
+        this._velocityToFilter = 0;
+        /** 0-1 amount full velocity shortens the gain attack by */
+        this._velocityToAttack = 0;
+
+        // --------- FM Params --------- //
+
+        /** @type {string} key of FM_ALGORITHMS used by the "fm" oscType */
+        this._fmAlgorithm = "stack";
+        /**
+         * 2-4 operators used by the "fm" oscType (see FM_DEFAULT_OPERATOR), operator 0 is always a carrier
+         * @type {Object[]}
+         */
+        this._fmOperators = [
+            {ratio: 1, level: 1, attack: 5, decay: 200, sustain: 1, release: 200},
+            {ratio: 2, level: 0.3, attack: 5, decay: 400, sustain: 0.4, release: 200}
+        ];
+
         // ------ Envelope Params ------ //
 
         this._geDepth = 1;
@@ -91,25 +467,167 @@ class Synthesizer {
         this._feS = .9;
         this._feR = 1;
 
+        this.reconnectEffects();
     }
 
     // ----- Note play and panic functions ----- //
 
     /**
-     * Creates a new soundOscillator at given midi note's calculated frequency (standard tuning)
-     * <br>* Converts midi note to a musical frequency at standard tuning (440hz)
+     * Plays a midi note
+     * <br>* "poly" voiceMode starts a new voice for every noteOn (see startVoice)
+     * <br>* "mono"/"legato" voiceModes push the note to heldNoteStack and move the single voice
+     * to the notePriority note (see monoNoteOn)
+     * <br>* A future when schedules the note on the context clock (see scheduleEvent)
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     * @param {number} [when] context time in seconds to play the note at, 0 or a past time plays it now
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
+     * (empty for scheduled notes)
+     */
+    noteOn(note, velocity = 127, when = 0) {
+        if (when > this.context.currentTime) {
+            this.scheduleEvent(when, (time) => this.triggerNoteOn(note, velocity, time));
+            return [];
+        }
+        this.runScheduledEvents();
+        return this.triggerNoteOn(note, velocity, this.context.currentTime);
+    }
+
+    /**
+     * Plays a midi note at a context time, see noteOn
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     * @param {number} time context time the note starts at
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
+     */
+    triggerNoteOn(note, velocity, time) {
+        if (this.noteFrequency(note) === null) {
+            console.log("Note " + note + " is not mapped by the current tuning");
+            return [];
+        }
+        if (this._voiceMode !== "poly") return this.monoNoteOn(note, velocity, time);
+        return this.startVoice(note, velocity, time);
+    }
+
+    /**
+     * Plays a midi note for a duration (noteOn, then a scheduled noteOff)
+     * @param {number} note Midi note value
+     * @param {number} duration seconds until the noteOff
+     * @param {number} [when] context time in seconds to play the note at, 0 or a past time plays it now
+     * @param {number} [velocity] Midi velocity value (0-127)
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
+     * (empty for scheduled notes)
+     */
+    playNote(note, duration, when = 0, velocity = 127) {
+        let start = Math.max(when, this.context.currentTime);
+        let stolen = this.noteOn(note, velocity, when);
+        this.noteOff(note, start + duration);
+        return stolen;
+    }
+
+    /**
+     * Plays a midi note and returns a handle for releasing exactly the voice it started (see releaseNote)
+     * <br>* Other inputs playing the same note keep their voices, while noteOff(note) releases the most recent one
+     * <br>* "mono"/"legato" voiceModes share one voice, the handle's release takes its note off heldNoteStack (see monoNoteOff)
+     * @param {number} note Midi note value
+     * @param {number} [velocity] Midi velocity value (0-127)
+     * @param {number} [when] context time in seconds to play the note at, 0 or a past time plays it now
+     * @return {{note: number, voice: SoundOscillator|null, event: Object|null}} voice is null until the note starts
+     * (or if it didn't, ie. a note the tuning leaves unmapped), event is the scheduled start of a future note
+     */
+    startNote(note, velocity = 127, when = 0) {
+        const handle = {note: parseInt(note), voice: null, event: null};
+        const play = (time) => {
+            let voiceCount = this.voiceCount;
+            this.triggerNoteOn(handle.note, velocity, time);
+            if (this._voiceMode !== "poly") {
+                handle.voice = this.monoVoice ? this.monoVoice.soundOscillator : null;
+                return;
+            }
+            let list = this.noteOnList[handle.note];
+            let voice = list && list.length > 0 ? list[list.length - 1] : null;
+            handle.voice = voice && voice.voiceID >= voiceCount ? voice : null;
+        };
+        if (when > this.context.currentTime) {
+            handle.event = this.scheduleEvent(when, play);
+            return handle;
+        }
+        this.runScheduledEvents();
+        play(this.context.currentTime);
+        return handle;
+    }
+
+    /**
+     * Releases the voice of a handle returned by startNote(), a note that hasn't started yet is cancelled
+     * <br>* Does nothing if the voice was already released, stolen or stopped
+     * @param {{note: number, voice: SoundOscillator|null, event: Object|null}} handle
+     * @param {number} [when] context time in seconds to release the voice at, 0 or a past time releases it now
+     */
+    releaseNote(handle, when = 0) {
+        if (when > this.context.currentTime) {
+            this.scheduleEvent(when, (time) => this.triggerNoteRelease(handle, time));
+            return;
+        }
+        this.runScheduledEvents();
+        this.triggerNoteRelease(handle, this.context.currentTime);
+    }
+
+    /**
+     * Releases the voice of a startNote() handle at a context time, see releaseNote
+     * @param {{note: number, voice: SoundOscillator|null, event: Object|null}} handle
+     * @param {number} time context time the release starts at
+     */
+    triggerNoteRelease(handle, time) {
+        //cancelEvent() is false once the start has been played
+        if (handle.event && this.cancelEvent(handle.event)) return;
+        if (this._voiceMode !== "poly") {
+            this.monoNoteOff(handle.note, time);
+            return;
+        }
+        if (handle.voice) this.releaseVoice(handle.voice.note, time, handle.voice);
+    }
+
+    /**
+     * Creates a new soundOscillator at given midi note's calculated frequency
+     * <br>* Converts midi note to a musical frequency via noteFrequency()
      * <br>* Applies current synth master parameters on newly created soundOscillator
      * <br>* Envelopes the soundOscillator.gainNode.gain value according to this.ge{A/D/S}
+     * <br>* Envelopes the soundOscillator.filterNode.frequency value according to this.fe{A/D/S} if envelopeFilter is on
+     * <br>* Velocity scales the envelope peak (maxVolume * geDepth) through velocityCurve,
+     * and optionally brightens the filter (velocityToFilter) and shortens the attack (velocityToAttack)
+     * <br>* Steals voices first if the new voice wouldn't fit in maxPolyphony
      * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     * @param {number} [time] context time the voice starts at
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
      */
-    noteOn(note) {
-        function noteFreq(note) {
-            return 440 * Math.pow(2, (note - 69) / 12);
+    startVoice(note, velocity = 127, time = this.context.currentTime) {
+        let zone = null;
+        if (this._oscType === "sampler") {
+            zone = this.sampleMap ? this.sampleMap.findZone(note, velocity) : null;
+            if (!zone) {
+                console.log("No sample zone for note: " + note + " velocity: " + velocity);
+                return [];
+            }
         }
 
-        let createdOsc = createSOsc(this._voices, this._detune,
-            this._oscType, this._maxVolume, noteFreq(note),
-            this._filterType, this._filterFrequency, this._filterBandwidth);
+        let stolen = this.stealVoices(note, time);
+
+        let createdOsc = createSOsc(this.context, this._voices, this._detune,
+            this._oscType, this._maxVolume, this.noteFrequency(note),
+            this._filterType, this._filterFrequency, this._filterBandwidth, zone,
+            {operators: this._fmOperators, algorithm: this._fmAlgorithm}, this.getVoiceSlots(),
+            {stereoWidth: this._stereoWidth, spreadCurve: this._spreadCurve, randomPhase: this._randomPhase,
+                wavetablePosition: this._wavetablePosition}, time);
+        createdOsc.panNode.pan.value = this.notePan(note);
+
+        //voices leave the note lists and are disposed once their oscillators stop (release end, sample end or steal fade)
+        createdOsc.oscillators[0].addEventListener("ended", () => this.endVoice(createdOsc));
+        this.liveVoices.add(createdOsc);
+
+        this.applyVelocity(createdOsc, velocity, time);
+        createdOsc.voiceID = this.voiceCount++;
+        createdOsc.note = parseInt(note);
 
         if (this.noteOnList[note]) {
             //pushes a new soundOscillator (can have a soundOscillator releasing on the same note)
@@ -127,162 +645,669 @@ class Synthesizer {
         newOSCParam.cancelScheduledValues(0);
         newOSCParam.exponentialRampToValueAtTime(0.001, 0);
 
-        //get values of CSC envelope progress nodes
-        let attackProgress = createdOsc.envelopeProgress.attack;
-        let decayProgress = createdOsc.envelopeProgress.decay;
+        this.envelopeOn(createdOsc, time);
 
-        this.cancelAndHold(newOSCParam);
+        this.connectLfos(createdOsc, time);
 
-        //schedule attack/decay
-        this.attack(newOSCParam, this.geA);
+        //connect 'master' soundOscillator node to synthesizer's effect chain
+        createdOsc.panNode.connect(this.voiceBus);
 
-        this.cancelAndHold(attackProgress);
-        this.cancelAndHold(decayProgress);
-        //schedule attack/decay progress timers
-        attackProgress.linearRampToValueAtTime(0, audioContext.currentTime + (this.geA/1000));
-        decayProgress.setValueAtTime(1, audioContext.currentTime + (this.geA/1000));
-        decayProgress.linearRampToValueAtTime(0, audioContext.currentTime + ((this.geA+this.geD)/1000));
+        this.emitAt("voicestart", {note: createdOsc.note, velocity: velocity, voice: createdOsc, fromNote: null, time: time});
+        return stolen;
+    }
 
-        //connect 'master' soundOscillator node to synthesizer's destination
-        createdOsc.filterNode.connect(this._destination);
+    /**
+     * Returns the frequency in hz of a midi note in the synth's tuning
+     * @param {number} note Midi note value
+     * @return {number|null} null if the tuning leaves the note unmapped
+     */
+    noteFrequency(note) {
+        return this._tuning.frequency(note);
     }
 
-    attack(oscParam, attack) {
-        this.cancelAndHold(oscParam);
-        //schedule attack ramp
-        oscParam.exponentialRampToValueAtTime(.993, audioContext.currentTime + (attack / 1000));
-        this.decay(oscParam, attack, this.geD);
-        //oscParam.cancelScheduledValues(audioContext.currentTime + attack/1000);
+    /**
+     * Moves every held/releasing voice to its note's frequency in the current tuning
+     * <br>* Called by the tuning/referenceFrequency setters, call it after changing this.tuning's values directly
+     * <br>* Voices on notes the tuning no longer maps keep their pitch
+     */
+    retune() {
+        let now = this.context.currentTime;
+        this.getAllVoices().forEach((voice) => {
+            let frequency = this.noteFrequency(voice.note);
+            if (frequency === null) return;
+            let freqParam = voice.soundOscillator.masterFreq.offset;
+            freqParam.cancelScheduledValues(now);
+            freqParam.setValueAtTime(frequency, now);
+        });
     }
 
-    decay(oscParam, attack, decay) {
-        this.cancelAndHold(oscParam, false);
-        oscParam.linearRampToValueAtTime(this.geS, audioContext.currentTime + ((decay+attack) / 1000));
+    /**
+     * Returns the oscillator slots a new waveform voice plays
+     * <br>* oscSlots, or one oscType slot with voices/detune if there are none
+     * <br>* Sub oscillator and noise are added as extra slots when their level is above 0
+     * @return {Object[]}
+     */
+    getVoiceSlots() {
+        //the main slot follows this.voices/this.detune on held notes
+        let slots = this._oscSlots.length > 0 ? this.oscSlots
+            : [{type: this._oscType, voices: this._voices, detune: this._detune, wavetable: this._wavetable, main: true}];
+        if (this._subLevel > 0) slots.push({type: this._subType, octave: this._subOctave, level: this._subLevel});
+        if (this._noiseLevel > 0) slots.push({type: "noise", level: this._noiseLevel});
+        return slots;
     }
 
     /**
-     * Triggers a release envelope for least recent soundOscillator on given note
-     * <br> * Exchanges soundOscillator from noteOnList to noteOffList
-     * <br> * Triggers note release for this.geR milliseconds
-     * <br> * NOTE: Thank you to Jake (Ozzy64k) for never leaving my brain until I got this right
+     * Returns the pan of a note: this.pan plus panKeyTrack per octave from middle C, clamped to -1 to 1
      * @param {number} note Midi note value
+     * @return {number}
      */
-    noteOff(note) {
-        if (this.checkNoteOn(note)) {
-            //exchange oscillator from noteOnList to noteOffList
-            if(note in this.noteOffList)this.noteOffList[note].push(this.noteOnList[note].pop());
-            else this.noteOffList[note] = [this.noteOnList[note].pop()];
+    notePan(note) {
+        let pan = this._pan + (this._panKeyTrack * (note - 60) / 12);
+        return Math.min(Math.max(pan, -1), 1);
+    }
 
-            this.release(note, this.geR);
+    /**
+     * Returns the main slot (see getVoiceSlots) of a soundOscillator, or null if it was played from oscSlots
+     * @param {SoundOscillator} soundOscillator
+     * @return {Object|null}
+     */
+    getMainSlot(soundOscillator) {
+        let slot = soundOscillator.slots[0];
+        return slot && slot.settings.main ? slot : null;
+    }
 
-            //Log voice releasing
-            /**
-             this.timeOutList.push(setTimeout((note) => {
-                    console.log("Voice stopped on note: " + note);
-                    this.logNoteInfo(note);
-                }, this.geR, note));
-             */
-        }
+    /**
+     * Sets a soundOscillator's velocity and the envelope peak/attack/filter values that follow from it
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} velocity Midi velocity value (0-127)
+     * @param {number} [time] context time the velocity applies from
+     */
+    applyVelocity(soundOscillator, velocity, time = this.context.currentTime) {
+        let velocityAmount = this.velocityAmount(velocity);
+        soundOscillator.velocity = velocity;
+        soundOscillator.peakGain = this.velocityGain(velocity);
+        soundOscillator.attackScale = 1 - (this._velocityToAttack * velocityAmount);
+        soundOscillator.filterNode.detune.setValueAtTime(this._velocityToFilter * velocityAmount, time);
     }
 
-    release(note, releaseTime) {
-        let oscIndex = this.noteOffList[note].length - 1;
-        let oscParam = this.noteOffList[note][oscIndex].gainNode.gain;
-        let oscReleaseTimer = this.noteOffList[note][oscIndex].envelopeProgress.release;
+    /**
+     * (Re)starts the gain and filter envelopes of a soundOscillator from its current level
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the envelopes start at
+     */
+    envelopeOn(soundOscillator, time = this.context.currentTime) {
+        const oscParam = soundOscillator.gainNode.gain;
+        let attackTime = this.geA * soundOscillator.attackScale;
 
-        this.cancelAndHold(oscParam);
+        //get values of CSC envelope progress nodes
+        let attackProgress = soundOscillator.envelopeProgress.attack;
+        let decayProgress = soundOscillator.envelopeProgress.decay;
 
-        //ramp oscParam value to near 0 after this.geR milliseconds
-        oscParam.exponentialRampToValueAtTime(0.0001, audioContext.currentTime + (releaseTime / 1000));
+        this.cancelAndHold(oscParam, true, time);
 
-        //log release progress
-        //console.log(this.noteOffList[note][this.noteOffList[note].length-1].envelopeProgress.release.value);
+        //schedule attack/decay
+        this.attack(oscParam, attackTime, soundOscillator.peakGain, time);
 
-        //schedule release progress timer
-        this.cancelAndHold(oscReleaseTimer);
-        oscReleaseTimer.linearRampToValueAtTime(0, audioContext.currentTime + (releaseTime / 1000));
-
-        //create timeOut with delay of releaseTime and push id to timeOutList
-        //timeOut function stops and removes soundOscillator from offList[note] + deletes its ID from the timeOutList
-        this.timeOutList.push(setTimeout((offList, note, timeOutList) => {
-            if (offList[note]) {
-                //stop all voices in soundOscillator
-                offList[note][0].oscillators.forEach((osc) => {
-                    osc.stop(0);
-                });
+        //reset progress timers to the start of the attack
+        attackProgress.cancelScheduledValues(time);
+        decayProgress.cancelScheduledValues(time);
+        attackProgress.setValueAtTime(1, time);
+        decayProgress.setValueAtTime(1, time);
+        //schedule attack/decay progress timers
+        attackProgress.linearRampToValueAtTime(0, time + (attackTime/1000));
+        decayProgress.setValueAtTime(1, time + (attackTime/1000));
+        decayProgress.linearRampToValueAtTime(0, time + ((attackTime+this.geD)/1000));
+        this.holdStages(soundOscillator, time, attackTime, this.geD);
 
-                //delete stopped soundOscillator
-                offList[note].splice(0, 1);
-                timeOutList.splice(0, 1);
-            }
-        }, releaseTime, this.noteOffList, note, this.timeOutList));
+        if (this._envelopeFilter) this.filterEnvelopeOn(soundOscillator, time);
+        if (soundOscillator.operators.length > 0) this.fmEnvelopeOn(soundOscillator, time);
     }
 
-    cancelAndHold(oscParam, now=true) {
-        /**
-         * Old value for cancel and hold
-         */
-        let oldValue = oscParam.value;
-        //cancel and hold stage
-        if(now === true){oscParam.cancelScheduledValues(0); }
-        oscParam.linearRampToValueAtTime(oldValue, now? 0: audioContext.currentTime);
+    /**
+     * Plans the attack, decay and sustain stages of a held voice on the audio clock (see SoundOscillator.setStage)
+     * <br>* Voices that haven't started yet keep their stages from their start time
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} time context time the attack starts at
+     * @param {number} attack attack time left in ms, 0 starts at the decay
+     * @param {number} decay decay time left in ms, 0 starts at the sustain
+     */
+    holdStages(soundOscillator, time, attack, decay) {
+        time = Math.max(time, soundOscillator.startTime);
+        if (attack > 0) soundOscillator.setStage("attack", time);
+        if (decay > 0) soundOscillator.setStage("decay", time + (attack / 1000));
+        soundOscillator.setStage("sustain", time + ((attack + decay) / 1000));
     }
 
     /**
-     * Deletes all oscillators in lists + clears all note release timeouts
+     * Plans the envelopes of a voice that hasn't started yet again from its start time, with the current envelope settings
+     * <br>* The envelope setters call this instead of re-timing such a voice from now, which would cancel its planned attack
+     * @param {SoundOscillator} soundOscillator
+     * @return {boolean} true if the voice hasn't started (and its envelopes were planned again)
      */
-    panic() {
-        for (let i = 0, l = this.noteOnList.length; i < l; i++){
-            if(this.checkNoteOn(i)){
-                this.noteOnList[i].forEach((soundOscillator) => {
-                    soundOscillator.oscillators.forEach((osc) => {osc.stop(0)});
-                });
-                this.noteOnList[i].splice(0);
-                console.log("Stopped all running sound on note: " + i);
-            }
+    replanScheduledVoice(soundOscillator) {
+        if (soundOscillator.startTime <= this.context.currentTime) return false;
+        this.envelopeOn(soundOscillator, soundOscillator.startTime);
+        return true;
+    }
+
+    // ----- Mono/Legato functions ----- //
+
+    /**
+     * Mono/legato noteOn
+     * <br>* Pushes the note to heldNoteStack and plays the notePriority note
+     * @param {number} note Midi note value
+     * @param {number} velocity Midi velocity value (0-127)
+     * @param {number} [time] context time the note plays at
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
+     */
+    monoNoteOn(note, velocity, time = this.context.currentTime) {
+        note = parseInt(note);
+        this.heldNoteStack = this.heldNoteStack.filter((held) => held.note !== note);
+        this.heldNoteStack.push({note: note, velocity: velocity});
+        return this.playMonoNote(this.getPriorityNote(), time);
+    }
+
+    /**
+     * Mono/legato noteOff
+     * <br>* Removes the note from heldNoteStack, falls back to the next held note if it was sounding
+     * <br>* Releases the voice once no notes are held
+     * @param {number} note Midi note value
+     * @param {number} [time] context time the note is released at
+     */
+    monoNoteOff(note, time = this.context.currentTime) {
+        note = parseInt(note);
+        this.heldNoteStack = this.heldNoteStack.filter((held) => held.note !== note);
+        let voice = this.getMonoVoice();
+        if (!voice || voice.note !== note) return;
+        if (this.heldNoteStack.length > 0) {
+            this.playMonoNote(this.getPriorityNote(), time);
+        } else {
+            this.releaseVoice(voice.note, time);
+            this.monoVoice = null;
         }
-        for (let i = 0, l = this.noteOffList.length; i < l; i++){
-            if(this.checkNoteOff(i)){
-                this.noteOffList[i].forEach((soundOscillator) => {
-                    soundOscillator.oscillators.forEach((osc) => {osc.stop(0)});
-                });
-                this.noteOffList[i].splice(0);
-                console.log("Stopped all releasing sound on note: " + i);
+    }
+
+    /**
+     * Moves voices held in "poly" voiceMode over to the mono bookkeeping
+     * <br>* Their notes go to heldNoteStack in the order they were played, the newest voice of the notePriority note
+     * stays as the mono voice and the other held voices are released
+     */
+    holdPolyVoices() {
+        let held = [];
+        this.getOnNoteIndexes().forEach((note) => {
+            this.noteOnList[note].forEach((soundOscillator) => held.push({note: parseInt(note), soundOscillator: soundOscillator}));
+        });
+        held.sort((a, b) => a.soundOscillator.voiceID - b.soundOscillator.voiceID);
+        this.heldNoteStack = [];
+        this.monoVoice = null;
+        held.forEach((voice) => {
+            this.heldNoteStack = this.heldNoteStack.filter((h) => h.note !== voice.note);
+            this.heldNoteStack.push({note: voice.note, velocity: voice.soundOscillator.velocity});
+        });
+        if (this.heldNoteStack.length === 0) return;
+
+        let note = this.getPriorityNote().note;
+        let list = this.noteOnList[note];
+        this.monoVoice = {note: note, soundOscillator: list[list.length - 1]};
+        this.lastMonoNote = note;
+        let time = this.context.currentTime;
+        held.forEach((voice) => {
+            if (voice.soundOscillator !== this.monoVoice.soundOscillator) this.releaseVoice(voice.note, time, voice.soundOscillator);
+        });
+    }
+
+    /**
+     * Returns the held note that should sound according to notePriority
+     * @return {{note: number, velocity: number}}
+     */
+    getPriorityNote() {
+        let stack = this.heldNoteStack;
+        switch (this._notePriority) {
+            case "low":
+                return stack.reduce((a, b) => b.note < a.note ? b : a);
+            case "high":
+                return stack.reduce((a, b) => b.note > a.note ? b : a);
+            default:
+                return stack[stack.length - 1];
+        }
+    }
+
+    /**
+     * Returns the mono voice if it's still held (not released or stolen), otherwise null
+     * @return {{note: number, soundOscillator: SoundOscillator}|null}
+     */
+    getMonoVoice() {
+        let voice = this.monoVoice;
+        if (!voice || !this.checkNoteOn(voice.note)) return null;
+        return this.noteOnList[voice.note].includes(voice.soundOscillator) ? voice : null;
+    }
+
+    /**
+     * Moves the mono voice to a held note, or starts one if none is sounding
+     * <br>* Moving a held voice glides to the new note if glideTime > 0
+     * <br>* A new voice glides from the last mono note only with glideMode "always"
+     * <br>* "mono" voiceMode retriggers the envelopes on every change, "legato" doesn't
+     * @param {{note: number, velocity: number}} held
+     * @param {number} [time] context time the note plays at
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices stolen to make room
+     */
+    playMonoNote(held, time = this.context.currentTime) {
+        let voice = this.getMonoVoice();
+        let fromNote = this.lastMonoNote;
+        this.lastMonoNote = held.note;
+        if (voice && voice.note === held.note) return [];
+
+        if (!voice) {
+            let stolen = this.startVoice(held.note, held.velocity, time);
+            if (!this.checkNoteOn(held.note)) return stolen;
+            let soundOscillator = this.noteOnList[held.note][this.noteOnList[held.note].length - 1];
+            this.monoVoice = {note: held.note, soundOscillator: soundOscillator};
+            let fromFrequency = fromNote !== null ? this.noteFrequency(fromNote) : null;
+            if (this._glideMode === "always" && fromFrequency !== null && this._glideTime > 0) {
+                soundOscillator.masterFreq.offset.setValueAtTime(fromFrequency, time);
+                this.glideTo(soundOscillator, this.noteFrequency(held.note), time);
             }
+            return stolen;
         }
-        for (let t in this.timeOutList){
-            window.clearTimeout(this.timeOutList[t]);
-            //console.log("terminated timeout id: " + this.timeOutList[t]);
+
+        //move the held voice over to the new note's list
+        let soundOscillator = voice.soundOscillator;
+        let list = this.noteOnList[voice.note];
+        list.splice(list.indexOf(soundOscillator), 1);
+        if (this.noteOnList[held.note]) this.noteOnList[held.note].push(soundOscillator);
+        else this.noteOnList[held.note] = [soundOscillator];
+        this.monoVoice = {note: held.note, soundOscillator: soundOscillator};
+        soundOscillator.note = held.note;
+
+        this.glideTo(soundOscillator, this.noteFrequency(held.note), time);
+        soundOscillator.panNode.pan.setValueAtTime(this.notePan(held.note), time);
+        if (this._voiceMode === "mono") {
+            this.applyVelocity(soundOscillator, held.velocity, time);
+            this.envelopeOn(soundOscillator, time);
+            this.lfos.forEach((lfo) => lfo.retriggerVoice(soundOscillator, time));
         }
-        this.noteOnList.splice(0);
-        this.noteOffList.splice(0);
-        this.timeOutList.splice(0);
+        this.emitAt("voicestart", {note: held.note, velocity: held.velocity, voice: soundOscillator, fromNote: voice.note, time: time});
+        return [];
+    }
+
+    /**
+     * Glides a soundOscillator's masterFreq to a frequency over glideTime ms (jumps if glideTime is 0)
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} frequency frequency in hz
+     * @param {number} [time] context time the glide starts at
+     */
+    glideTo(soundOscillator, frequency, time = this.context.currentTime) {
+        let freqParam = soundOscillator.masterFreq.offset;
+        this.cancelAndHold(freqParam, true, time);
+        if (this._glideTime > 0) freqParam.exponentialRampToValueAtTime(frequency, time + (this._glideTime / 1000));
+        else freqParam.setValueAtTime(frequency, time);
     }
 
     // ------------------------------- //
 
-    //-- dynamic setters and getters --//
+    attack(oscParam, attack, peak = 1, time = this.context.currentTime) {
+        this.cancelAndHold(oscParam, true, time);
+        //schedule attack ramp
+        oscParam.exponentialRampToValueAtTime(peak, time + (attack / 1000));
+        this.decay(oscParam, attack, this.geD, peak, time);
+        //oscParam.cancelScheduledValues(this.context.currentTime + attack/1000);
+    }
 
-    get geR() {
-        return this._geR;
+    decay(oscParam, attack, decay, peak = 1, time = this.context.currentTime) {
+        this.cancelAndHold(oscParam, false, time);
+        oscParam.linearRampToValueAtTime(this.geS * peak, time + ((decay+attack) / 1000));
     }
 
-    set geR(newRelease) {
-        this._geR = newRelease;
-        for (let id in this.timeOutList){
-            window.clearTimeout(this.timeOutList[id]);
+    /**
+     * Returns the 0-1 amount of a midi velocity through velocityCurve
+     * @param {number} velocity Midi velocity value (0-127)
+     * @return {number}
+     */
+    velocityAmount(velocity) {
+        let x = Math.min(Math.max(velocity / 127, 0), 1);
+        switch (this._velocityCurve) {
+            case "exponential":
+                return x * x;
+            case "logarithmic":
+                return Math.sqrt(x);
+            case "fixed":
+                return 1;
+            default:
+                return x;
         }
-        this.timeOutList.splice(0);
-        let modNotes = this.getOffNoteIndexes();
-        modNotes.forEach((note) => {
-            for (let i in this.noteOffList[note]){
-                let progress = this.noteOffList[note][i].envelopeProgress.release.value;
-                this.release(note, newRelease * progress);
-            }
-        });
     }
 
-
+    /**
+     * Returns the gain envelope peak for a midi velocity
+     * <br>* maxVolume * geDepth is the ceiling reached at full velocity
+     * <br>* velocitySensitivity 0 plays every velocity at the ceiling
+     * @param {number} velocity Midi velocity value (0-127)
+     * @return {number}
+     */
+    velocityGain(velocity) {
+        let amount = 1 - this._velocitySensitivity + (this._velocitySensitivity * this.velocityAmount(velocity));
+        //exponential ramps can't target 0
+        return Math.max(amount * this._maxVolume * this._geDepth, 0.0001);
+    }
+
+    /**
+     * Starts the filter envelope on a newly created soundOscillator
+     * <br>* Sweeps filterNode.frequency from filterFrequency up to filterFrequency + feDepth, then to the feS level
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the envelope starts at
+     */
+    filterEnvelopeOn(soundOscillator, time = this.context.currentTime) {
+        soundOscillator.filterEnveloped = true;
+
+        const filterParam = soundOscillator.filterNode.frequency;
+        let attackProgress = soundOscillator.filterEnvelopeProgress.attack;
+        let decayProgress = soundOscillator.filterEnvelopeProgress.decay;
+
+        this.cancelAndHold(filterParam, true, time);
+        this.filterAttack(filterParam, this.feA, time);
+
+        this.cancelAndHold(attackProgress, true, time);
+        this.cancelAndHold(decayProgress, true, time);
+        //schedule filter attack/decay progress timers
+        attackProgress.linearRampToValueAtTime(0, time + (this.feA/1000));
+        decayProgress.setValueAtTime(1, time + (this.feA/1000));
+        decayProgress.linearRampToValueAtTime(0, time + ((this.feA+this.feD)/1000));
+    }
+
+    filterAttack(filterParam, attack, time = this.context.currentTime) {
+        this.cancelAndHold(filterParam, true, time);
+        //schedule filter attack ramp to the envelope peak
+        filterParam.exponentialRampToValueAtTime(this.filterEnvelopeValue(1), time + (attack / 1000));
+        this.filterDecay(filterParam, attack, this.feD, time);
+    }
+
+    filterDecay(filterParam, attack, decay, time = this.context.currentTime) {
+        this.cancelAndHold(filterParam, false, time);
+        filterParam.exponentialRampToValueAtTime(this.filterEnvelopeValue(this.feS),
+            time + ((decay+attack) / 1000));
+    }
+
+    /**
+     * Returns the filter cutoff in hz for a filter envelope level
+     * <br>* Level 0 is filterFrequency, level 1 is filterFrequency + feDepth
+     * <br>* Clamped between 10hz and the context's nyquist frequency
+     * @param {number} level envelope level from 0 to 1
+     * @return {number}
+     */
+    filterEnvelopeValue(level) {
+        let value = this._filterFrequency + (this._feDepth * level);
+        return Math.min(Math.max(value, 10), this.context.sampleRate / 2);
+    }
+
+    /**
+     * Releases a midi note
+     * <br>* "poly" voiceMode releases the most recent voice on the note that has started (see releaseVoice)
+     * <br>* "mono"/"legato" voiceModes fall back to the previous held note (see monoNoteOff)
+     * <br>* A future when schedules the release on the context clock (see scheduleEvent)
+     * @param {number} note Midi note value
+     * @param {number} [when] context time in seconds to release the note at, 0 or a past time releases it now
+     */
+    noteOff(note, when = 0) {
+        if (when > this.context.currentTime) {
+            this.scheduleEvent(when, (time) => this.triggerNoteOff(note, time));
+            return;
+        }
+        this.runScheduledEvents();
+        this.triggerNoteOff(note, this.context.currentTime);
+    }
+
+    /**
+     * Releases a midi note at a context time, see noteOff
+     * @param {number} note Midi note value
+     * @param {number} time context time the release starts at
+     */
+    triggerNoteOff(note, time) {
+        if (this._voiceMode !== "poly") this.monoNoteOff(note, time);
+        else this.releaseVoice(note, time);
+    }
+
+    /**
+     * Triggers a release envelope for the most recent (or a given) soundOscillator on given note
+     * <br> * Without a given soundOscillator, voices scheduled to start after time are skipped
+     * (they're only in noteOnList ahead of time so setters can reach them)
+     * <br> * Exchanges soundOscillator from noteOnList to noteOffList
+     * <br> * Triggers note release for this.geR milliseconds
+     * <br> * NOTE: Thank you to Jake (Ozzy64k) for never leaving my brain until I got this right
+     * @param {number} note Midi note value
+     * @param {number} [time] context time the release starts at
+     * @param {SoundOscillator} [soundOscillator] held voice of the note to release instead of the most recent one
+     */
+    releaseVoice(note, time = this.context.currentTime, soundOscillator = null) {
+        if (this.checkNoteOn(note)) {
+            let list = this.noteOnList[note];
+            let i = soundOscillator ? list.indexOf(soundOscillator) : list.length - 1;
+            while (!soundOscillator && i >= 0 && list[i].startTime > time) i--;
+            if (i < 0) return;
+            //exchange oscillator from noteOnList to noteOffList
+            if(note in this.noteOffList)this.noteOffList[note].push(list.splice(i, 1)[0]);
+            else this.noteOffList[note] = [list.splice(i, 1)[0]];
+
+            this.release(note, this.geR, this.noteOffList[note].length - 1, time);
+
+            let releasedOsc = this.noteOffList[note][this.noteOffList[note].length - 1];
+            if (releasedOsc.filterEnveloped) this.filterRelease(releasedOsc, this.feR, time);
+            if (releasedOsc.operators.length > 0) this.fmRelease(releasedOsc, time);
+            //one-shot samples keep playing, they only end
+            if (!releasedOsc.oneShot) this.emitAt("voicerelease", {note: releasedOsc.note, voice: releasedOsc, time: time});
+
+            //Log voice releasing
+            /**
+             this.timeOutList.push(setTimeout((note) => {
+                    console.log("Voice stopped on note: " + note);
+                    this.logNoteInfo(note);
+                }, this.geR, note));
+             */
+        }
+    }
+
+    release(note, releaseTime, oscIndex = this.noteOffList[note].length - 1, time = this.context.currentTime) {
+        let soundOscillator = this.noteOffList[note][oscIndex];
+        //one-shot samples ignore noteOff, endVoice() removes them once they play to their end
+        if (soundOscillator.oneShot) return;
+        let oscParam = soundOscillator.gainNode.gain;
+        let oscReleaseTimer = soundOscillator.envelopeProgress.release;
+
+        this.cancelAndHold(oscParam, true, time);
+
+        //ramp oscParam value to near 0 after this.geR milliseconds
+        oscParam.exponentialRampToValueAtTime(0.0001, time + (releaseTime / 1000));
+
+        //log release progress
+        //console.log(this.noteOffList[note][this.noteOffList[note].length-1].envelopeProgress.release.value);
+
+        //schedule release progress timer
+        this.cancelAndHold(oscReleaseTimer, true, time);
+        oscReleaseTimer.linearRampToValueAtTime(0, time + (releaseTime / 1000));
+
+        //stop the oscillators when the release ends (a later release() reschedules this)
+        //endVoice() removes the soundOscillator from noteOffList once they have ended
+        let releaseEnd = time + (releaseTime / 1000);
+        soundOscillator.oscillators.forEach((osc) => {osc.stop(releaseEnd)});
+        soundOscillator.setStage("release", time);
+        soundOscillator.releaseStart = time;
+        soundOscillator.endTime = releaseEnd;
+    }
+
+    /**
+     * Stops a soundOscillator, removes it from noteOnList/noteOffList and disposes its nodes
+     * <br>* Called by the ended event of the voice's first oscillator, so voices are cleaned up on the audio clock
+     * when a release finishes, a sampler voice plays to the end of its sample or a stolen voice has faded
+     * <br>* Searches every note, a mono voice may have moved since it started
+     * <br>* Does nothing for a voice that has already stopped
+     * @param {SoundOscillator} soundOscillator
+     */
+    endVoice(soundOscillator) {
+        if (!soundOscillator.setStage("stopped")) return;
+        [this.noteOnList, this.noteOffList].forEach((list) => {
+            list.forEach((voices) => {
+                let i = voices ? voices.indexOf(soundOscillator) : -1;
+                if (i >= 0) voices.splice(i, 1);
+            });
+        });
+        if (this.monoVoice && this.monoVoice.soundOscillator === soundOscillator) this.monoVoice = null;
+        this.lfos.forEach((lfo) => lfo.disconnectVoice(soundOscillator));
+        soundOscillator.dispose();
+        this.liveVoices.delete(soundOscillator);
+        //voices ended early by panic() report now, not the end their release was headed for
+        let now = this.context.currentTime;
+        let time = soundOscillator.endTime !== null && soundOscillator.endTime <= now ? soundOscillator.endTime : now;
+        //a scheduled voice stopped before its start time never started for listeners either
+        if (soundOscillator.startTime <= now) this.emit("voiceend", {note: soundOscillator.note, voice: soundOscillator, time: time});
+    }
+
+    /**
+     * Ramps a soundOscillator's filter cutoff back to filterFrequency over releaseTime milliseconds
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} releaseTime
+     * @param {number} [time] context time the release starts at
+     */
+    filterRelease(soundOscillator, releaseTime, time = this.context.currentTime) {
+        let filterParam = soundOscillator.filterNode.frequency;
+        let filterReleaseTimer = soundOscillator.filterEnvelopeProgress.release;
+
+        this.cancelAndHold(filterParam, true, time);
+        filterParam.exponentialRampToValueAtTime(this.filterEnvelopeValue(0), time + (releaseTime / 1000));
+
+        //schedule filter release progress timer
+        this.cancelAndHold(filterReleaseTimer, true, time);
+        filterReleaseTimer.linearRampToValueAtTime(0, time + (releaseTime / 1000));
+    }
+
+    /**
+     * Cancels a param's automation from a time on, holding the value it has then
+     * <br>* Future times use cancelAndHoldAtTime where the browser has it, otherwise the current value is held
+     * (scheduled events are played at most scheduleAheadTime early, so it can only be that far behind)
+     * @param {AudioParam} oscParam
+     * @param {boolean} [now] false only anchors the next ramp at the current value, without cancelling
+     * @param {number} [time] context time to hold from
+     */
+    cancelAndHold(oscParam, now=true, time = this.context.currentTime) {
+        if (now === true && time > this.context.currentTime && oscParam.cancelAndHoldAtTime) {
+            oscParam.cancelAndHoldAtTime(time);
+            return;
+        }
+        /**
+         * Old value for cancel and hold
+         */
+        let oldValue = oscParam.value;
+        //cancel and hold stage - hold value is set at time so ramps scheduled after start from then
+        if(now === true){
+            oscParam.cancelScheduledValues(time);
+            oscParam.setValueAtTime(oldValue, time);
+        }
+        else if (time <= this.context.currentTime) oscParam.linearRampToValueAtTime(oldValue, time);
+    }
+
+    /**
+     * Stops and disposes every voice (including stolen voices still fading out)
+     */
+    panic() {
+        for (let i = 0, l = this.noteOnList.length; i < l; i++){
+            if(this.checkNoteOn(i)){
+                console.log("Stopped all running sound on note: " + i);
+            }
+        }
+        for (let i = 0, l = this.noteOffList.length; i < l; i++){
+            if(this.checkNoteOff(i)){
+                console.log("Stopped all releasing sound on note: " + i);
+            }
+        }
+        this.liveVoices.forEach((soundOscillator) => this.endVoice(soundOscillator));
+        this.noteOnList.splice(0);
+        this.noteOffList.splice(0);
+        this.scheduledEvents = [];
+        this.heldNoteStack = [];
+        this.monoVoice = null;
+        this.emit("panic", {time: this.context.currentTime});
+    }
+
+    /**
+     * Schedules a callback for a context time, used by noteOn/noteOff with a future when
+     * <br>* The callback gets the event's time and is called up to scheduleAheadTime before it,
+     * it must schedule its audio at that time (not currentTime)
+     * <br>* Events are played in time order, events at the same time in the order they were scheduled
+     * <br>* Events within scheduleAheadTime are played right away, so schedule those in time order
+     * <br>* panic() drops every event still waiting
+     * @param {number} time context time in seconds
+     * @param {function(number)} callback
+     * @return {{time: number, callback: function(number)}} the event, to cancel with cancelEvent()
+     */
+    scheduleEvent(time, callback) {
+        let events = this.scheduledEvents;
+        let event = {time: time, callback: callback};
+        let i = events.findIndex((e) => e.time > time);
+        events.splice(i < 0 ? events.length : i, 0, event);
+        this.runScheduledEvents();
+        return event;
+    }
+
+    /**
+     * Removes a scheduled event that hasn't been played yet
+     * @param {{time: number, callback: function(number)}} event event returned by scheduleEvent()
+     * @return {boolean} false if the event was already played (or dropped by panic)
+     */
+    cancelEvent(event) {
+        let i = this.scheduledEvents.indexOf(event);
+        if (i < 0) return false;
+        this.scheduledEvents.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * Plays every scheduled event due within scheduleAheadTime, then waits on the context clock for the next one
+     * <br>* The scheduler wakes on the context clock (see wakeAt), so an OfflineAudioContext suspends its render
+     * until the events are played
+     */
+    runScheduledEvents() {
+        let events = this.scheduledEvents;
+        while (events.length > 0 && events[0].time - this.scheduleAheadTime <= this.context.currentTime) {
+            let event = events.shift();
+            event.callback(event.time);
+        }
+        if (events.length === 0) return;
+
+        let wakeTime = events[0].time - this.scheduleAheadTime;
+        if (this.schedulerWakeTime !== null && this.schedulerWakeTime <= wakeTime) return;
+        this.schedulerWakeTime = wakeTime;
+        wakeAt(this.context, wakeTime, () => {
+            if (this.schedulerWakeTime === wakeTime) this.schedulerWakeTime = null;
+            this.runScheduledEvents();
+        });
+    }
+
+    // ------------------------------- //
+
+    //-- dynamic setters and getters --//
+
+    get geR() {
+        return this._geR;
+    }
+
+    set geR(newRelease) {
+        this._geR = newRelease;
+        //release() reschedules the stop time of voices already releasing
+        //voices whose release is scheduled for later still start it then, with the whole new release time
+        let now = this.context.currentTime;
+        let modNotes = this.getOffNoteIndexes();
+        modNotes.forEach((note) => {
+            for (let i in this.noteOffList[note]){
+                let soundOscillator = this.noteOffList[note][i];
+                if (soundOscillator.releaseStart > now) {
+                    this.release(note, newRelease, parseInt(i), soundOscillator.releaseStart);
+                    continue;
+                }
+                let progress = soundOscillator.envelopeProgress.release.value;
+                this.release(note, newRelease * progress, parseInt(i));
+            }
+        });
+    }
+
+
     get geA() {
         return this._geA;
     }
@@ -292,6 +1317,7 @@ class Synthesizer {
         let modNotes = this.getOnNoteIndexes();
         modNotes.forEach((note) => {
             this.noteOnList[note].forEach((noteGroup) => {
+                if (this.replanScheduledVoice(noteGroup)) return;
                 let progress = noteGroup.envelopeProgress.attack;
                 let dProgress = noteGroup.envelopeProgress.decay;
                 //console.log(progress.value);
@@ -299,14 +1325,15 @@ class Synthesizer {
                 //reset attack progress ramp
                 this.cancelAndHold(progress);
                 this.cancelAndHold(dProgress);
-                let modValue = value * progress.value;
-                progress.linearRampToValueAtTime(0, audioContext.currentTime + (modValue / 1000));
-                dProgress.setValueAtTime(1, audioContext.currentTime + (modValue / 1000));
-                dProgress.linearRampToValueAtTime(0, audioContext.currentTime + (this.geD /1000));
+                let modValue = value * noteGroup.attackScale * progress.value;
+                progress.linearRampToValueAtTime(0, this.context.currentTime + (modValue / 1000));
+                dProgress.setValueAtTime(1, this.context.currentTime + (modValue / 1000));
+                dProgress.linearRampToValueAtTime(0, this.context.currentTime + (this.geD /1000));
                 //re-calculate attack timing if note still in attack stage
                 this.cancelAndHold(noteGroup.gainNode.gain);
-                if(modValue>0)this.attack(noteGroup.gainNode.gain, modValue);
-                else this.decay(noteGroup.gainNode.gain, modValue, this.geD * dProgress.value);
+                if(modValue>0)this.attack(noteGroup.gainNode.gain, modValue, noteGroup.peakGain);
+                else this.decay(noteGroup.gainNode.gain, modValue, this.geD * dProgress.value, noteGroup.peakGain);
+                this.holdStages(noteGroup, this.context.currentTime, modValue, modValue > 0 ? this.geD : this.geD * dProgress.value);
             });
         });
 
@@ -327,21 +1354,23 @@ class Synthesizer {
         let modNotes = this.getOnNoteIndexes();
         modNotes.forEach((note) => {
             this.noteOnList[note].forEach((noteGroup) => {
+                if (this.replanScheduledVoice(noteGroup)) return;
                 let progress = noteGroup.envelopeProgress.decay;
                 let aProgress = noteGroup.envelopeProgress.attack;
 
                 //console.log(aProgress.value, progress.value);
-                let aValue = this.geA * aProgress.value;
+                let aValue = this.geA * noteGroup.attackScale * aProgress.value;
                 let modValue = value * progress.value;
                 //reset progress ramp
                 this.cancelAndHold(progress);
                 //console.log(progress.value);
                 //don't add attack time if attack stage finished
-                if(aProgress.value > 0)progress.setValueAtTime(1, audioContext.currentTime + (aValue/1000));
+                if(aProgress.value > 0)progress.setValueAtTime(1, this.context.currentTime + (aValue/1000));
                 //recalculate decay progress ramp
-                progress.linearRampToValueAtTime(0, audioContext.currentTime + (modValue / 1000));
+                progress.linearRampToValueAtTime(0, this.context.currentTime + (modValue / 1000));
                 //re-calculate decay timing if decay stage unfinished
-                this.decay(noteGroup.gainNode.gain, aValue, modValue);
+                this.decay(noteGroup.gainNode.gain, aValue, modValue, noteGroup.peakGain);
+                this.holdStages(noteGroup, this.context.currentTime, aValue, modValue);
             });
         });
 
@@ -360,19 +1389,261 @@ class Synthesizer {
 
     set geS(value) {
         this._geS = value;
+        this.refreshGainEnvelopeLevels();
+    }
+
+    /**
+     * Re-targets the gain envelope of held voices after a level change (geS, geDepth, maxVolume)
+     * <br>* Voices still in attack keep their remaining attack time, others re-decay from their progress
+     */
+    refreshGainEnvelopeLevels() {
         let modNotes = this.getOnNoteIndexes();
         modNotes.forEach((note) => {
             this.noteOnList[note].forEach((noteGroup) => {
+                if (this.replanScheduledVoice(noteGroup)) return;
                 let progress = noteGroup.envelopeProgress.decay;
                 let aProgress = noteGroup.envelopeProgress.attack;
                 //console.log(progress.value);
                 //reset progress ramp
                 //re-decay according to progress
                 this.cancelAndHold(noteGroup.gainNode.gain);
-                if(aProgress.value === 0)this.decay(noteGroup.gainNode.gain, this.geA * aProgress.value, this.geD * progress.value);
-                else this.attack(noteGroup.gainNode.gain, this.geA * aProgress.value);
+                if(aProgress.value === 0)this.decay(noteGroup.gainNode.gain, 0, this.geD * progress.value, noteGroup.peakGain);
+                else this.attack(noteGroup.gainNode.gain, this.geA * noteGroup.attackScale * aProgress.value, noteGroup.peakGain);
+                let attackLeft = this.geA * noteGroup.attackScale * aProgress.value;
+                this.holdStages(noteGroup, this.context.currentTime, attackLeft, attackLeft > 0 ? this.geD : this.geD * progress.value);
+            });
+        });
+    }
+
+    /**
+     * Recalculates the envelope peak of held voices from their velocity after a ceiling change (geDepth, maxVolume)
+     */
+    refreshVelocityGains() {
+        this.getOnNoteIndexes().forEach((note) => {
+            this.noteOnList[note].forEach((noteGroup) => {
+                noteGroup.peakGain = this.velocityGain(noteGroup.velocity);
             });
         });
+        this.refreshGainEnvelopeLevels();
+    }
+
+    // ------------------------------- //
+
+    // ------ Voice Stealing Functions ------ //
+
+    /**
+     * Returns every sounding voice (held and releasing) with its note
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]}
+     */
+    getAllVoices() {
+        let r = [];
+        this.getOnNoteIndexes().forEach((note) => {
+            this.noteOnList[note].forEach((o) => r.push({note: parseInt(note), soundOscillator: o, releasing: false}));
+        });
+        this.getOffNoteIndexes().forEach((note) => {
+            this.noteOffList[note].forEach((o) => r.push({note: parseInt(note), soundOscillator: o, releasing: true}));
+        });
+        return r;
+    }
+
+    /**
+     * Returns an estimate of a voice's current gain from its envelope progress trackers
+     * @param {SoundOscillator} soundOscillator
+     * @param {boolean} releasing true if the voice is in noteOffList
+     * @return {number}
+     */
+    estimateVoiceLevel(soundOscillator, releasing) {
+        let progress = soundOscillator.envelopeProgress;
+        let peak = soundOscillator.peakGain;
+        if (releasing) return peak * this.geS * progress.release.value;
+        if (progress.attack.value > 0) return peak * (1 - progress.attack.value);
+        return peak * (this.geS + ((1 - this.geS) * progress.decay.value));
+    }
+
+    /**
+     * Steals voices until a new voice fits in maxPolyphony
+     * <br>* Picks voices by stealPolicy, stolen voices fade out over stealFadeTime ms
+     * <br>* Stolen voices are removed from noteOnList/noteOffList right away
+     * @param {number} note Midi note of the voice about to be created (for "same-note")
+     * @param {number} [time] context time the new voice starts at
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} stolen voices
+     */
+    stealVoices(note, time = this.context.currentTime) {
+        let stolen = [];
+        if (!(this._maxPolyphony > 0)) return stolen;
+        let voices = this.getAllVoices();
+        while (voices.length >= this._maxPolyphony) {
+            let victim = this.pickVoiceToSteal(voices, note);
+            voices.splice(voices.indexOf(victim), 1);
+            this.stealVoice(victim, time);
+            stolen.push(victim);
+        }
+        return stolen;
+    }
+
+    /**
+     * Returns the voice to steal next according to stealPolicy
+     * <br>* "oldest": least recently started voice
+     * <br>* "quietest": lowest estimated level (see estimateVoiceLevel)
+     * <br>* "same-note": oldest voice on the new note, else oldest
+     * <br>* "releasing": oldest releasing voice, else oldest
+     * @param {{note: number, soundOscillator: SoundOscillator, releasing: boolean}[]} voices
+     * @param {number} note
+     * @return {{note: number, soundOscillator: SoundOscillator, releasing: boolean}}
+     */
+    pickVoiceToSteal(voices, note) {
+        let oldest = (list) => list.reduce((a, b) => a.soundOscillator.voiceID <= b.soundOscillator.voiceID ? a : b);
+        let candidates = voices;
+        switch (this._stealPolicy) {
+            case "quietest":
+                return voices.reduce((a, b) => {
+                    return this.estimateVoiceLevel(a.soundOscillator, a.releasing)
+                        <= this.estimateVoiceLevel(b.soundOscillator, b.releasing) ? a : b;
+                });
+            case "same-note":
+                candidates = voices.filter((v) => v.note === parseInt(note));
+                break;
+            case "releasing":
+                candidates = voices.filter((v) => v.releasing);
+                break;
+        }
+        return oldest(candidates.length > 0 ? candidates : voices);
+    }
+
+    /**
+     * Removes a voice from the note lists and fades it out over stealFadeTime ms
+     * @param {{note: number, soundOscillator: SoundOscillator, releasing: boolean}} voice
+     * @param {number} [time] context time the fade starts at
+     */
+    stealVoice(voice, time = this.context.currentTime) {
+        let soundOscillator = voice.soundOscillator;
+        let list = voice.releasing ? this.noteOffList : this.noteOnList;
+        list[voice.note].splice(list[voice.note].indexOf(soundOscillator), 1);
+
+        let gain = soundOscillator.gainNode.gain;
+        let fadeEnd = time + (this.stealFadeTime / 1000);
+        this.cancelAndHold(gain, true, time);
+        gain.linearRampToValueAtTime(0, fadeEnd);
+        soundOscillator.oscillators.forEach((osc) => {osc.stop(fadeEnd)});
+        soundOscillator.setStage("release", time);
+        soundOscillator.endTime = fadeEnd;
+        this.emitAt("voicesteal", {note: voice.note, voice: soundOscillator, time: time});
+    }
+
+    // ------------------------------- //
+
+    // -------- FM Functions -------- //
+
+    /**
+     * Starts the level envelope of each FM operator from its current level
+     * <br>* Operators ramp linearly to their level over attack, then to level * sustain over decay
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the envelopes start at
+     */
+    fmEnvelopeOn(soundOscillator, time = this.context.currentTime) {
+        soundOscillator.operators.forEach((op) => {
+            let s = op.settings;
+            let param = op.envNode.gain;
+            this.cancelAndHold(param, true, time);
+            param.linearRampToValueAtTime(s.level, time + (s.attack / 1000));
+            param.linearRampToValueAtTime(s.level * s.sustain, time + ((s.attack + s.decay) / 1000));
+        });
+    }
+
+    /**
+     * Releases the level envelope of each FM operator over its own release time
+     * <br>* The voice still ends after the gain envelope release (geR)
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the releases start at
+     */
+    fmRelease(soundOscillator, time = this.context.currentTime) {
+        soundOscillator.operators.forEach((op) => {
+            let param = op.envNode.gain;
+            this.cancelAndHold(param, true, time);
+            param.linearRampToValueAtTime(0, time + (op.settings.release / 1000));
+        });
+    }
+
+    /**
+     * Changes settings of one FM operator
+     * <br>* ratio, fixed and feedback also change on held "fm" voices, level/envelope apply from the next note
+     * @param {number} index operator index
+     * @param {Object} settings any of the FM_DEFAULT_OPERATOR keys
+     */
+    setFMOperator(index, settings) {
+        if (index < 0 || index >= this._fmOperators.length) {
+            console.log("FM operator index out of range: " + index);
+            return;
+        }
+        let oldValue = this.fmOperators;
+        this._fmOperators[index] = Object.assign({}, this._fmOperators[index], settings);
+        this.getAllVoices().forEach((voice) => {
+            let op = voice.soundOscillator.operators[index];
+            if (!op) return;
+            op.settings = Object.assign({}, op.settings, settings);
+            setFMOperatorFrequency(op);
+            op.feedbackNode.gain.value = op.settings.feedback;
+        });
+        this.listParamChanged("fmOperators", this.fmOperators, oldValue);
+    }
+
+    // ------------------------------- //
+
+    // -------- LFO Functions -------- //
+
+    /**
+     * Adds an LFO to the synth
+     * <br>* Connects it to every voice that's already sounding, and every voice started after
+     * <br>* An LFO can only be shared by synths on the same context
+     * @param {LFO|Object} lfo LFO or LFO constructor options (ie. {shape: "triangle", rate: 4, routes: {pitch: 20}})
+     * @return {LFO|null} the added LFO, null if it runs on another context
+     */
+    addLfo(lfo = {}) {
+        if (!(lfo instanceof LFO)) lfo = new LFO(lfo);
+        if (lfo.context && lfo.context !== this.context) {
+            console.log("LFO is already running on another context");
+            return null;
+        }
+        lfo.context = this.context;
+        let oldValue = this.getLfoSettings();
+        this.lfos.push(lfo);
+        this.getAllVoices().forEach((voice) => lfo.connectVoice(voice.soundOscillator));
+        this.paramChanged("lfos", this.getLfoSettings(), oldValue);
+        return lfo;
+    }
+
+    /**
+     * Removes an LFO, disconnecting it from all voices
+     * @param {number} index index in this.lfos
+     * @return {LFO|null} removed LFO
+     */
+    removeLfo(index) {
+        if (index < 0 || index >= this.lfos.length) {
+            console.log("LFO index out of range: " + index);
+            return null;
+        }
+        let oldValue = this.getLfoSettings();
+        let lfo = this.lfos.splice(index, 1)[0];
+        lfo.dispose();
+        this.paramChanged("lfos", this.getLfoSettings(), oldValue);
+        return lfo;
+    }
+
+    /**
+     * Returns the settings of every LFO, as saved in a patch
+     * @return {Object[]}
+     */
+    getLfoSettings() {
+        return this.lfos.map((lfo) => lfo.getSettings());
+    }
+
+    /**
+     * Connects every LFO to a new voice (endVoice disconnects them once the voice has stopped)
+     * @param {SoundOscillator} soundOscillator
+     * @param {number} [time] context time the voice starts at
+     */
+    connectLfos(soundOscillator, time = this.context.currentTime) {
+        this.lfos.forEach((lfo) => lfo.connectVoice(soundOscillator, time));
     }
 
     // ------------------------------- //
@@ -389,158 +1660,700 @@ class Synthesizer {
     }
 
     /**
-     * Returns true/false if midi note value has voices releasing
-     * @param {number} note
-     * @return {boolean}
+     * Returns true/false if midi note value has voices releasing
+     * @param {number} note
+     * @return {boolean}
+     */
+    checkNoteOff(note){
+        return (this.noteOffList[note] && this.noteOffList[note].length > 0);
+    }
+
+    /**
+     * Returns number of voices on/releasing on a midi note
+     * <br>* voicesScheduled counts the voices on the note that were started ahead of their time (stage "scheduled"),
+     * they're part of voicesOn too
+     * @param {number} note
+     * @return {{voicesOn: number, voicesReleasing: number, voicesScheduled: number}}
+     */
+    getNoteStatInfo(note){
+        let onVoices = this.getOnNoteIndexes().length;
+        let offVoices = this.getOffNoteIndexes().length;
+        let scheduledVoices = this.checkNoteOn(note) ?
+            this.noteOnList[note].filter((soundOscillator) => soundOscillator.stage === "scheduled").length : 0;
+        return {voicesOn: onVoices, voicesReleasing: offVoices, voicesScheduled: scheduledVoices};
+    }
+
+    /**
+     * Takes a note index and parses voice info (# of on/releasing voices)
+     * <br>Returns a user-readable string
+     * @param {number} note
+     */
+    logNoteInfo(note){
+        let info = this.getNoteStatInfo(note);
+        let r = ("--------");
+        r += ('\n# of voices on: ' + info.voicesOn);
+        r += ('\n# of voices releasing: ' + info.voicesReleasing);
+        if (info.voicesScheduled > 0) r += ('\n# of voices scheduled: ' + info.voicesScheduled);
+        r += ("\n--------");
+        return r;
+    }
+
+    /**
+     * Returns a user-readable string of active note voice info
+     */
+    logNotesSummary(){
+        let r = ("--- Active Notes ---\n");
+        for (let i = 0, l = 127; i <= l; i++){
+            if( (this.checkNoteOn(i)) ||
+                (this.checkNoteOff(i))) {
+                r += ("\nNote: " + i);
+                r += "\n" + this.logNoteInfo(i);
+            }
+        }
+        r += ("\n\n--- End Summary ---");
+        return r;
+    }
+
+    /**
+     * Leak check: counts the voices and voice nodes that haven't been disposed yet
+     * <br>* Voices are disposed by endVoice once their sources end, so live voices should only be the ones
+     * in the note lists plus stolen voices still fading out
+     * <br>* Voices still live a second after their end time (the ended event never came) are reported as leaked
+     * @return {{voices: number, nodes: number, leaked: SoundOscillator[]}}
+     */
+    checkLeaks() {
+        let now = this.context.currentTime;
+        let r = {voices: this.liveVoices.size, nodes: 0, leaked: []};
+        this.liveVoices.forEach((soundOscillator) => {
+            r.nodes += soundOscillator.nodes.length;
+            if (soundOscillator.endTime !== null && now > soundOscillator.endTime + 1) r.leaked.push(soundOscillator);
+        });
+        return r;
+    }
+
+    /**
+     * Returns indexes for notes currently in noteOn state
+     * @return {*[{index: {number}, voices: {number}]}
+     */
+    getOnNoteIndexes(){
+        let r = [];
+        for (let i in this.noteOnList){
+            if(this.checkNoteOn(i)){
+                r.push(i);
+            }
+        }
+        return r;
+    }
+
+    /**
+     * Returns indexes for notes currently in release state
+     * @return {*[{index: {number}, voices: {number}]}
+     */
+    getOffNoteIndexes(){
+        let r = [];
+        for (let i in this.noteOffList){
+            if(this.checkNoteOff(i)){
+                r.push(i);
+            }
+        }
+        return r;
+    }
+
+    /**
+     * Returns both active and releasing soundOscillators of given midi note
+     * <br>Return is an array:
+     * <br>[0]: {note: midiNote, oscGroup: active soundOscillators[]}
+     * <br>[1]: {note: midiNote oscGroup: releasing soundOscillators[]}
+     * @param note
+     */
+    getAllOscillatorsOnNote(note){
+        let r = [];
+        if(this.checkNoteOn(note)) r[0] = {note: note, oscGroup: this.noteOnList[note]};
+        if(this.checkNoteOff(note)) r[1] = {note: note, oscGroup: this.noteOffList[note]};
+        return r;
+    }
+
+
+    // ------------------------------------ //
+
+    // ---- Effect Insertion Functions ---- //
+    // signal path: voices -> voiceBus -> effectList[0] -> ... -> effectList[n] -> destination
+    // effects may be an AudioNode or an {input: AudioNode, output: AudioNode} pair for multi-node effects
+
+    /**
+     * Adds an insert effect to the Synthesizer and manages its connections
+     * @param {AudioNode|{input: AudioNode, output: AudioNode}} a - effect to insert into the Synth's chain
+     * @param {number} [i] - index in this.effectList to insert at (defaults to the end of the chain)
+     * @return {number} index the effect was inserted at
+     */
+    insertEffect(a, i = this.effectList.length) {
+        if (this.effectList.includes(a)) {
+            console.log('Effect is already inserted at index: ' + this.effectList.indexOf(a));
+            return this.effectList.indexOf(a);
+        }
+        i = Math.min(Math.max(i, 0), this.effectList.length);
+        this.effectList.splice(i, 0, a);
+        this.rewireEffects();
+        return i;
+    }
+
+    /**
+     * Removes an insert effect at a given index and manages reconnections
+     * @param i - index of effect in this.effectList
+     * @return {AudioNode|{input: AudioNode, output: AudioNode}|undefined} the removed effect
+     */
+    removeEffect(i) {
+        if (!this.checkEffectIndex(i)) return undefined;
+        let removed = this.effectList.splice(i, 1)[0];
+        this.bypassedEffects.delete(removed);
+        this.rewireEffects();
+        return removed;
+    }
+
+    /**
+     * Moves an insert effect to a new position in the chain
+     * @param {number} from - current index of effect in this.effectList
+     * @param {number} to - new index of effect in this.effectList
+     */
+    moveEffect(from, to) {
+        if (!this.checkEffectIndex(from)) return;
+        to = Math.min(Math.max(to, 0), this.effectList.length - 1);
+        if (from === to) return;
+        this.effectList.splice(to, 0, this.effectList.splice(from, 1)[0]);
+        this.rewireEffects();
+    }
+
+    /**
+     * Bypasses (or un-bypasses) an insert effect, leaving it in its place in effectList
+     * @param {number} i - index of effect in this.effectList
+     * @param {boolean} bypass
+     */
+    bypassEffect(i, bypass = true) {
+        if (!this.checkEffectIndex(i)) return;
+        let effect = this.effectList[i];
+        if (this.bypassedEffects.has(effect) === bypass) return;
+        if (bypass) this.bypassedEffects.add(effect);
+        else this.bypassedEffects.delete(effect);
+        this.rewireEffects();
+    }
+
+    /**
+     * Returns true/false if the effect at index is bypassed
+     * @param {number} i - index of effect in this.effectList
+     * @return {boolean}
+     */
+    isEffectBypassed(i) {
+        return this.bypassedEffects.has(this.effectList[i]);
+    }
+
+    /**
+     * Returns true/false if i is a valid effectList index, logs if it isn't
+     * @param {number} i
+     * @return {boolean}
+     */
+    checkEffectIndex(i) {
+        if (this.effectList.length === 0) {
+            console.log('No insert effects present');
+            return false;
+        }
+        if (!(i >= 0 && i < this.effectList.length)) {
+            console.log('No insert effect at index: ' + i);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Rewires the effect chain after a change
+     * <br>* If voices are sounding, voiceBus fades out for effectFadeTime ms before reconnecting and fades back in
+     * <br>* Changes made while a fade is pending are picked up by the same reconnect
+     */
+    rewireEffects() {
+        if (this.effectRewireTime !== null) return;
+        if (this.getOnNoteIndexes().length === 0 && this.getOffNoteIndexes().length === 0) {
+            this.reconnectEffects();
+            return;
+        }
+
+        let busGain = this.voiceBus.gain;
+        let fade = this.effectFadeTime / 1000;
+        let now = this.context.currentTime;
+        busGain.cancelScheduledValues(now);
+        busGain.setValueAtTime(busGain.value, now);
+        busGain.linearRampToValueAtTime(0, now + fade);
+
+        //reconnects on the context clock, so an offline render rewires at the same point of its output
+        let rewireTime = now + fade;
+        this.effectRewireTime = rewireTime;
+        wakeAt(this.context, rewireTime, () => {
+            this.effectRewireTime = null;
+            this.reconnectEffects();
+            let time = Math.max(this.context.currentTime, rewireTime);
+            busGain.cancelScheduledValues(time);
+            busGain.setValueAtTime(0, time);
+            busGain.linearRampToValueAtTime(1, time + fade);
+        });
+    }
+
+    /**
+     * Reconnects voiceBus through every non-bypassed effect in effectList to destination
+     * <br>* Only disconnects connections made by the chain, other connections on effect nodes are kept
+     */
+    reconnectEffects() {
+        this.chainConnections.forEach(([from, to]) => {
+            try {
+                from.disconnect(to);
+            } catch (e) {
+                //connection was already removed outside of the chain
+            }
+        });
+        this.chainConnections = [];
+
+        let last = this.voiceBus;
+        this.effectList.forEach((effect) => {
+            if (this.bypassedEffects.has(effect)) return;
+            let input = effect.input || effect;
+            last.connect(input);
+            this.chainConnections.push([last, input]);
+            last = effect.output || effect;
+        });
+        if (this._destination) {
+            last.connect(this._destination);
+            this.chainConnections.push([last, this._destination]);
+        }
+    }
+
+    // ------------------------------------- //
+
+
+
+    // -------- Parameter Functions -------- //
+
+    /**
+     * Sets a SYNTH_PARAMS parameter from any input (ie. a slider's string value)
+     * <br>* Numbers are clamped to the parameter's range, integers rounded, "true"/"false" strings work for booleans
+     * @param {string} name parameter name (its setter)
+     * @param {*} value
+     * @param {string} [source] source given to the paramchange event (ie. "ui")
+     * @return {boolean} false if the parameter or enum value is unknown
+     */
+    setParam(name, value, source = "code") {
+        const info = SYNTH_PARAMS[name];
+        if (!info) {
+            console.log("Unknown synth parameter: " + name);
+            return false;
+        }
+        switch (info.type) {
+            case "enum":
+                if (!info.options.includes(value)) {
+                    console.log("Unknown " + info.label.toLowerCase() + ": " + value);
+                    return false;
+                }
+                break;
+            case "boolean":
+                value = value === true || value === "true";
+                break;
+            default:
+                value = parseFloat(value);
+                if (isNaN(value)) {
+                    console.log(info.label + " must be a number: " + value);
+                    return false;
+                }
+                if (info.type === "integer") value = Math.round(value);
+                value = Math.min(Math.max(value, info.min), info.max);
+        }
+        this.withParamSource(source, () => {
+            this[name] = value;
+        });
+        return true;
+    }
+
+    /**
+     * Runs a function with every paramchange event it causes coming from a source
+     * @param {string} source (ie. "midi")
+     * @param {function()} callback
+     */
+    withParamSource(source, callback) {
+        let previous = this.paramSource;
+        this.paramSource = source;
+        try {
+            callback();
+        } finally {
+            this.paramSource = previous;
+        }
+    }
+
+    /**
+     * Returns the current value of every SYNTH_PARAMS parameter
+     * @return {Object<string, *>}
+     */
+    getParams() {
+        const params = {};
+        for (let name in SYNTH_PARAMS) params[name] = this[name];
+        return params;
+    }
+
+    /**
+     * Emits a paramchange event (called by every SYNTH_PARAMS/SYNTH_LIST_PARAMS setter, however it's set)
+     * @param {string} name
+     * @param {*} value
+     * @param {*} oldValue
+     */
+    paramChanged(name, value, oldValue) {
+        this.emit("paramchange", {name: name, value: value, oldValue: oldValue, source: this.paramSource,
+            time: this.context.currentTime});
+    }
+
+    /**
+     * Emits a paramchange event for a SYNTH_LIST_PARAMS value, if its JSON changed
+     * @param {string} name
+     * @param {*} value
+     * @param {*} oldValue
+     */
+    listParamChanged(name, value, oldValue) {
+        if (value !== oldValue && JSON.stringify(value) !== JSON.stringify(oldValue)) this.paramChanged(name, value, oldValue);
+    }
+
+    // ------------------------------------- //
+
+    // ----------- Event Functions ---------- //
+
+    /**
+     * Calls a function on every event of a type (see SYNTH_EVENTS)
+     * @param {string} type
+     * @param {function(Object)} listener called with the event object
+     */
+    on(type, listener) {
+        if (!SYNTH_EVENTS.includes(type)) {
+            console.log("Unknown synth event: " + type);
+            return;
+        }
+        if (!this.eventListeners[type]) this.eventListeners[type] = [];
+        this.eventListeners[type].push(listener);
+    }
+
+    /**
+     * Removes a listener added by on()
+     * @param {string} type
+     * @param {function(Object)} listener
+     */
+    off(type, listener) {
+        if (!this.eventListeners[type]) return;
+        this.eventListeners[type] = this.eventListeners[type].filter((l) => l !== listener);
+    }
+
+    /**
+     * Emits an event now, after the timed events that are due (see emitAt)
+     * @param {string} type
+     * @param {Object} event event details, type is added to it
+     */
+    emit(type, event) {
+        this.emitDueEvents();
+        this.callListeners(type, event);
+    }
+
+    /**
+     * Emits an event once the context clock reaches its time, so events of voices scheduled ahead
+     * come when the voice starts/releases
+     * @param {string} type
+     * @param {Object} event event details with its context time, type is added to it
      */
-    checkNoteOff(note){
-        return (this.noteOffList[note] && this.noteOffList[note].length > 0);
+    emitAt(type, event) {
+        if (event.time <= this.context.currentTime) {
+            this.emit(type, event);
+            return;
+        }
+        if (!this.eventListeners[type] || this.eventListeners[type].length === 0) return;
+        let events = this.timedEvents;
+        let i = events.findIndex((e) => e.event.time > event.time);
+        events.splice(i < 0 ? events.length : i, 0, {type: type, event: event});
+        wakeAt(this.context, event.time, () => this.emitDueEvents());
     }
 
     /**
-     * Returns number of voices on/releasing on a midi note
-     * @param {number} note
-     * @return {{voicesOn: number, voicesReleasing: number}}
+     * Emits the timed events whose time has come, in time order
+     * <br>* Events of voices that stopped before the event's time (panic, a steal) are dropped
      */
-    getNoteStatInfo(note){
-        let onVoices = this.getOnNoteIndexes().length;
-        let offVoices = this.getOffNoteIndexes().length;
-        return {voicesOn: onVoices, voicesReleasing: offVoices};
+    emitDueEvents() {
+        let events = this.timedEvents;
+        while (events.length > 0 && events[0].event.time <= this.context.currentTime) {
+            let {type, event} = events.shift();
+            if (event.voice && event.voice.stageAt(event.time) === "stopped") continue;
+            this.callListeners(type, event);
+        }
     }
 
     /**
-     * Takes a note index and parses voice info (# of on/releasing voices)
-     * <br>Returns a user-readable string
-     * @param {number} note
+     * Calls the listeners of an event
+     * <br>* A listener throwing doesn't stop the others or the synth, the error is logged
+     * @param {string} type
+     * @param {Object} event
      */
-    logNoteInfo(note){
-        let info = this.getNoteStatInfo(note);
-        let r = ("--------");
-        r += ('\n# of voices on: ' + info.voicesOn);
-        r += ('\n# of voices releasing: ' + info.voicesReleasing);
-        r += ("\n--------");
-        return r;
+    callListeners(type, event) {
+        let listeners = this.eventListeners[type];
+        if (!listeners || listeners.length === 0) return;
+        event.type = type;
+        listeners.slice().forEach((listener) => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.log("Error in " + type + " listener: " + e.message);
+            }
+        });
     }
 
+    // ------------------------------------- //
+
+    // ---------- Patch Functions ---------- //
+
     /**
-     * Returns a user-readable string of active note voice info
+     * Returns the current synth parameters as a versioned patch object
+     * <br>* Sections/keys follow SYNTH_PATCH_FIELDS, plus an effects list (see README "Patches")
+     * <br>* Sample buffers of a sampleMap are not part of the patch
+     * @return {Object} JSON-serializable patch
      */
-    logNotesSummary(){
-        let r = ("--- Active Notes ---\n");
-        for (let i = 0, l = 127; i <= l; i++){
-            if( (this.checkNoteOn(i)) ||
-                (this.checkNoteOff(i))) {
-                r += ("\nNote: " + i);
-                r += "\n" + this.logNoteInfo(i);
+    getPatch() {
+        const patch = {version: SYNTH_PATCH_VERSION};
+        for (let section in SYNTH_PATCH_FIELDS) {
+            patch[section] = {};
+            for (let key in SYNTH_PATCH_FIELDS[section]) {
+                patch[section][key] = this[SYNTH_PATCH_FIELDS[section][key]];
             }
         }
-        r += ("\n\n--- End Summary ---");
-        return r;
+        patch.effects = [];
+        this.effectList.forEach((effect) => {
+            let effectPatch = this.getEffectPatch(effect);
+            if (effectPatch) patch.effects.push(effectPatch);
+            else console.log("Effect can't be saved to a patch: ", effect);
+        });
+        patch.lfos = this.getLfoSettings();
+        patch.tuning = this._tuning.toJSON();
+        return patch;
     }
 
     /**
-     * Returns indexes for notes currently in noteOn state
-     * @return {*[{index: {number}, voices: {number}]}
+     * Applies a patch made by getPatch()
+     * <br>* Values are applied through the synth's setters, so held notes update live
+     * <br>* Missing sections/keys keep their current values, missing effects/lfos lists keep the current ones
+     * @param {Object|string} patch patch object or its JSON string
      */
-    getOnNoteIndexes(){
-        let r = [];
-        for (let i in this.noteOnList){
-            if(this.checkNoteOn(i)){
-                r.push(i);
-            }
+    setPatch(patch) {
+        if (typeof patch === "string") patch = JSON.parse(patch);
+        if (!patch || typeof patch.version !== "number") {
+            throw new Error("Not a synth patch (missing version)");
         }
-        return r;
+        if (patch.version > SYNTH_PATCH_VERSION) {
+            throw new Error("Patch version " + patch.version + " is newer than supported version " + SYNTH_PATCH_VERSION);
+        }
+        this.withParamSource("patch", () => {
+            for (let section in SYNTH_PATCH_FIELDS) {
+                if (!patch[section]) continue;
+                for (let key in SYNTH_PATCH_FIELDS[section]) {
+                    if (patch[section][key] !== undefined) this[SYNTH_PATCH_FIELDS[section][key]] = patch[section][key];
+                }
+            }
+            if (Array.isArray(patch.effects)) {
+                while (this.effectList.length > 0) this.removeEffect(this.effectList.length - 1);
+                patch.effects.forEach((effectPatch) => {
+                    let effect = this.createPatchEffect(effectPatch);
+                    if (!effect) return;
+                    let i = this.insertEffect(effect);
+                    if (effectPatch.bypassed) this.bypassEffect(i, true);
+                });
+            }
+            if (patch.tuning) this.tuning = Tuning.fromJSON(patch.tuning);
+            if (Array.isArray(patch.lfos)) {
+                while (this.lfos.length > 0) this.removeLfo(this.lfos.length - 1);
+                patch.lfos.forEach((settings) => this.addLfo(settings));
+            }
+        });
+        this.emit("patchload", {patch: patch, time: this.context.currentTime});
     }
 
     /**
-     * Returns indexes for notes currently in release state
-     * @return {*[{index: {number}, voices: {number}]}
+     * Returns a patch entry for an insert effect, or null if it can't be saved
+     * <br>* Effects with a toPatch() function save its result ({type: <SYNTH_PATCH_EFFECTS key>, ...})
+     * <br>* Built-in AudioNodes save their AudioParam values and settable settings (ie. BiquadFilterNode type),
+     * read-only values (ie. DynamicsCompressorNode reduction) are left out
+     * <br>* Nodes holding data a patch can't store (ie. a ConvolverNode's impulse response buffer) return null
+     * @param {AudioNode|Object} effect
+     * @return {Object|null}
      */
-    getOffNoteIndexes(){
-        let r = [];
-        for (let i in this.noteOffList){
-            if(this.checkNoteOff(i)){
-                r.push(i);
-            }
+    getEffectPatch(effect) {
+        let bypassed = this.bypassedEffects.has(effect);
+        if (typeof effect.toPatch === "function") {
+            return Object.assign({}, effect.toPatch(), {bypassed: bypassed});
         }
-        return r;
+        if (!(effect instanceof AudioNode)) return null;
+
+        const effectPatch = {type: effect.constructor.name, bypassed: bypassed, params: {}, settings: {}};
+        const prototype = Object.getPrototypeOf(effect);
+        let savable = true;
+        Object.getOwnPropertyNames(prototype).forEach((key) => {
+            if (key === "constructor") return;
+            let value = effect[key];
+            if (value instanceof AudioParam) {
+                effectPatch.params[key] = value.value;
+                return;
+            }
+            if (!Object.getOwnPropertyDescriptor(prototype, key).set) return;
+            if (value instanceof Float32Array) effectPatch.settings[key] = Array.from(value);
+            else if (["string", "number", "boolean"].includes(typeof value)) effectPatch.settings[key] = value;
+            else if (value !== null && typeof value === "object") savable = false;
+        });
+        return savable ? effectPatch : null;
     }
 
     /**
-     * Returns both active and releasing soundOscillators of given midi note
-     * <br>Return is an array:
-     * <br>[0]: {note: midiNote, oscGroup: active soundOscillators[]}
-     * <br>[1]: {note: midiNote oscGroup: releasing soundOscillators[]}
-     * @param note
+     * Creates an insert effect from a patch entry, or returns null if its type is unknown
+     * @param {Object} effectPatch
+     * @return {AudioNode|Object|null}
      */
-    getAllOscillatorsOnNote(note){
-        let r = [];
-        if(this.checkNoteOn(note)) r[0] = {note: note, oscGroup: this.noteOnList[note]};
-        if(this.checkNoteOff(note)) r[1] = {note: note, oscGroup: this.noteOffList[note]};
-        return r;
+    createPatchEffect(effectPatch) {
+        if (SYNTH_PATCH_EFFECTS[effectPatch.type]) {
+            return SYNTH_PATCH_EFFECTS[effectPatch.type](this.context, effectPatch);
+        }
+        const NodeType = window[effectPatch.type];
+        if (typeof NodeType !== "function" || !(NodeType.prototype instanceof AudioNode)) {
+            console.log("Unknown patch effect type: " + effectPatch.type);
+            return null;
+        }
+        const node = new NodeType(this.context);
+        for (let key in effectPatch.settings) {
+            //patches saved before read-only values were left out may still have them
+            let descriptor = Object.getOwnPropertyDescriptor(NodeType.prototype, key);
+            if (!descriptor || !descriptor.set) continue;
+            let value = effectPatch.settings[key];
+            node[key] = Array.isArray(value) ? new Float32Array(value) : value;
+        }
+        for (let key in effectPatch.params) {
+            if (node[key] instanceof AudioParam) node[key].value = effectPatch.params[key];
+        }
+        return node;
     }
 
+    // ------------------------------------- //
+
+    // -------- Getters and Setters ------- //
 
-    // ------------------------------------ //
+    get oscType() {
+        return this._oscType;
+    }
 
-    // ---- Effect Insertion Functions ---- //
-    //effect insertion currently not working afaik
+    set oscType(value) {
+        this._oscType = value;
+    }
 
-    /**
-     * Adds an insert effect to the Synthesizer and manages its connections
-     * @param {AudioNode} a - AudioNode to insert as an effect for Synth
-     */
-    insertEffect(a) {
-        this.effectList.push(a);
+    get oscSlots() {
+        return this._oscSlots.map((slot) => Object.assign({}, slot));
+    }
+
+    set oscSlots(value) {
+        if (value.length > 3) {
+            console.log("Voices can have up to 3 oscillator slots, got: " + value.length);
+            return;
+        }
+        this._oscSlots = value.map((slot) => Object.assign({}, slot, {wavetable: this.toWavetable(slot.wavetable)}));
     }
 
     /**
-     * Removes an insert effect at a given index and manages reconnections
-     * @param i - index of effect in this.effectList
+     * Changes settings of one oscillator slot (applies from the next note)
+     * @param {number} index slot index
+     * @param {Object} settings any of the OSC_SLOT_DEFAULTS keys
      */
-    removeEffect(i) {
-        let len = this.effectList.length;
-        if (len > 0) {
-            this.effectList[i].disconnect();
-            this.effectList.splice(i, 1);
-        } else {
-            console.log('No insert effects present');
+    setOscSlot(index, settings) {
+        if (index < 0 || index >= this._oscSlots.length) {
+            console.log("Oscillator slot index out of range: " + index);
+            return;
         }
+        let oldValue = this.oscSlots;
+        this._oscSlots[index] = Object.assign({}, this._oscSlots[index], settings);
+        this._oscSlots[index].wavetable = this.toWavetable(this._oscSlots[index].wavetable);
+        this.listParamChanged("oscSlots", this.oscSlots, oldValue);
     }
 
     /**
-     * Reconnects effect at index to parent/child in effectList
-     * @param i
+     * Turns a wavetable saved in a patch ({frames} from Wavetable.toJSON()) back into a Wavetable
+     * <br>* Names and Wavetables are returned as they are
+     * @param {string|Wavetable|Object} wavetable
+     * @return {string|Wavetable|undefined}
      */
-    reconnectEffect(i) {
-        //if effect is the first effect, connects it to masterGainNode
-        if (i === 0) {
-            this.effectList[0].connect(masterGainNode);
-        }
-        let len = this.effectList.length;
-        //asserts proper connects (like for reinsert of a node)
-        if (len > i) { //checks if there is a node above it
-            for (let i = 1, l = len; i < l; i++) {
-                console.log('inserting..');
-                this.effectList[i].connect(this.effectList[i - 1]); //connects node at i to node at i
-                this.effectList[l].disconnect(); //disconnects node at index after i
-                this.effectList[l].connect(this.effectList[i]); //connects l to node at index i
-            }
+    toWavetable(wavetable) {
+        if (wavetable && !(wavetable instanceof Wavetable) && Array.isArray(wavetable.frames)) {
+            return new Wavetable(wavetable.frames);
         }
+        return wavetable;
     }
 
-    // ------------------------------------- //
+    get tuning() {
+        return this._tuning;
+    }
 
+    set tuning(value) {
+        this._tuning = value;
+        this.retune();
+    }
 
+    get referenceFrequency() {
+        return this._tuning.referenceFrequency;
+    }
 
-    // -------- Getters and Setters ------- //
+    set referenceFrequency(value) {
+        this._tuning.referenceFrequency = value;
+        this.retune();
+    }
 
-    get oscType() {
-        return this._oscType;
+    get wavetable() {
+        return this._wavetable;
     }
 
-    set oscType(value) {
-        this._oscType = value;
+    set wavetable(value) {
+        this._wavetable = this.toWavetable(value);
+    }
+
+    get wavetablePosition() {
+        return this._wavetablePosition;
+    }
+
+    set wavetablePosition(value) {
+        this._wavetablePosition = value;
+        this.getAllVoices().forEach((voice) => {
+            let soundOscillator = voice.soundOscillator;
+            soundOscillator.wavetablePosition = value;
+            if (soundOscillator.positionNode) soundOscillator.positionNode.offset.value = value;
+        });
+    }
+
+    get subLevel() {
+        return this._subLevel;
+    }
+
+    set subLevel(value) {
+        this._subLevel = value;
+    }
+
+    get subOctave() {
+        return this._subOctave;
+    }
+
+    set subOctave(value) {
+        this._subOctave = value;
+    }
+
+    get subType() {
+        return this._subType;
+    }
+
+    set subType(value) {
+        this._subType = value;
+    }
+
+    get noiseLevel() {
+        return this._noiseLevel;
+    }
+
+    set noiseLevel(value) {
+        this._noiseLevel = value;
     }
 
     get destination() {
@@ -548,7 +2361,12 @@ class Synthesizer {
     }
 
     set destination(value) {
+        if (value && value.context !== this.context) {
+            console.log("Destination is on a different context than the synth");
+            return;
+        }
         this._destination = value;
+        this.rewireEffects();
     }
 
     get voices() {
@@ -557,6 +2375,12 @@ class Synthesizer {
 
     set voices(value) {
         this._voices = value;
+        this.getAllVoices().forEach((voice) => {
+            let slot = this.getMainSlot(voice.soundOscillator);
+            if (!slot) return;
+            voice.soundOscillator.setSlotVoices(slot, value);
+            this.lfos.forEach((lfo) => lfo.refreshTargets(voice.soundOscillator));
+        });
     }
 
     get detune() {
@@ -565,6 +2389,60 @@ class Synthesizer {
 
     set detune(value) {
         this._detune = value;
+        this.getAllVoices().forEach((voice) => {
+            let slot = this.getMainSlot(voice.soundOscillator);
+            if (slot) voice.soundOscillator.setSlotDetune(slot, value);
+        });
+    }
+
+    get stereoWidth() {
+        return this._stereoWidth;
+    }
+
+    set stereoWidth(value) {
+        this._stereoWidth = value;
+        this.getAllVoices().forEach((voice) => {
+            voice.soundOscillator.stereoWidth = value;
+            voice.soundOscillator.refreshUnisonPan();
+        });
+    }
+
+    get spreadCurve() {
+        return this._spreadCurve;
+    }
+
+    set spreadCurve(value) {
+        this._spreadCurve = value;
+        this.getAllVoices().forEach((voice) => {
+            voice.soundOscillator.spreadCurve = value;
+            voice.soundOscillator.refreshUnisonPan();
+        });
+    }
+
+    get randomPhase() {
+        return this._randomPhase;
+    }
+
+    set randomPhase(value) {
+        this._randomPhase = value;
+    }
+
+    get pan() {
+        return this._pan;
+    }
+
+    set pan(value) {
+        this._pan = value;
+        this.getAllVoices().forEach((voice) => {voice.soundOscillator.panNode.pan.value = this.notePan(voice.note)});
+    }
+
+    get panKeyTrack() {
+        return this._panKeyTrack;
+    }
+
+    set panKeyTrack(value) {
+        this._panKeyTrack = value;
+        this.getAllVoices().forEach((voice) => {voice.soundOscillator.panNode.pan.value = this.notePan(voice.note)});
     }
 
     get envelopeFilter() {
@@ -581,6 +2459,14 @@ class Synthesizer {
 
     set feR(value) {
         this._feR = value;
+        let modNotes = this.getOffNoteIndexes();
+        modNotes.forEach((note) => {
+            this.noteOffList[note].forEach((noteGroup) => {
+                if (!noteGroup.filterEnveloped) return;
+                let progress = noteGroup.filterEnvelopeProgress.release.value;
+                this.filterRelease(noteGroup, value * progress);
+            });
+        });
     }
 
     get feS() {
@@ -589,6 +2475,7 @@ class Synthesizer {
 
     set feS(value) {
         this._feS = value;
+        this.refreshFilterEnvelopeLevels();
     }
 
     get feD() {
@@ -597,6 +2484,25 @@ class Synthesizer {
 
     set feD(value) {
         this._feD = value;
+        let modNotes = this.getOnNoteIndexes();
+        modNotes.forEach((note) => {
+            this.noteOnList[note].forEach((noteGroup) => {
+                if (!noteGroup.filterEnveloped || this.replanScheduledVoice(noteGroup)) return;
+                let progress = noteGroup.filterEnvelopeProgress.decay;
+                let aProgress = noteGroup.filterEnvelopeProgress.attack;
+
+                let aValue = this.feA * aProgress.value;
+                let modValue = value * progress.value;
+                //reset progress ramp
+                this.cancelAndHold(progress);
+                //don't add attack time if attack stage finished
+                if(aProgress.value > 0)progress.setValueAtTime(1, this.context.currentTime + (aValue/1000));
+                //recalculate decay progress ramp
+                progress.linearRampToValueAtTime(0, this.context.currentTime + ((aValue + modValue) / 1000));
+                //re-calculate decay timing if decay stage unfinished
+                this.filterDecay(noteGroup.filterNode.frequency, aValue, modValue);
+            });
+        });
     }
 
     get feA() {
@@ -605,6 +2511,27 @@ class Synthesizer {
 
     set feA(value) {
         this._feA = value;
+        let modNotes = this.getOnNoteIndexes();
+        modNotes.forEach((note) => {
+            this.noteOnList[note].forEach((noteGroup) => {
+                if (!noteGroup.filterEnveloped || this.replanScheduledVoice(noteGroup)) return;
+                let progress = noteGroup.filterEnvelopeProgress.attack;
+                let dProgress = noteGroup.filterEnvelopeProgress.decay;
+
+                //reset attack progress ramp
+                this.cancelAndHold(progress);
+                this.cancelAndHold(dProgress);
+                let modValue = value * progress.value;
+                let dValue = this.feD * dProgress.value;
+                progress.linearRampToValueAtTime(0, this.context.currentTime + (modValue / 1000));
+                dProgress.setValueAtTime(1, this.context.currentTime + (modValue / 1000));
+                dProgress.linearRampToValueAtTime(0, this.context.currentTime + ((modValue + dValue) / 1000));
+                //re-calculate attack timing if note still in attack stage
+                this.cancelAndHold(noteGroup.filterNode.frequency);
+                if(modValue>0)this.filterAttack(noteGroup.filterNode.frequency, modValue);
+                else this.filterDecay(noteGroup.filterNode.frequency, 0, dValue);
+            });
+        });
     }
 
     get feDepth() {
@@ -613,6 +2540,26 @@ class Synthesizer {
 
     set feDepth(value) {
         this._feDepth = value;
+        this.refreshFilterEnvelopeLevels();
+    }
+
+    /**
+     * Re-targets the filter envelope of held voices after a level change (feS, feDepth, filterFrequency)
+     * <br>* Voices still in attack keep their remaining attack time, others re-decay from their progress
+     */
+    refreshFilterEnvelopeLevels() {
+        let modNotes = this.getOnNoteIndexes();
+        modNotes.forEach((note) => {
+            this.noteOnList[note].forEach((noteGroup) => {
+                if (!noteGroup.filterEnveloped || this.replanScheduledVoice(noteGroup)) return;
+                let progress = noteGroup.filterEnvelopeProgress.decay;
+                let aProgress = noteGroup.filterEnvelopeProgress.attack;
+                let filterParam = noteGroup.filterNode.frequency;
+                this.cancelAndHold(filterParam);
+                if(aProgress.value === 0)this.filterDecay(filterParam, 0, this.feD * progress.value);
+                else this.filterAttack(filterParam, this.feA * aProgress.value);
+            });
+        });
     }
 
     get filterBandwidth() {
@@ -621,14 +2568,23 @@ class Synthesizer {
 
     set filterBandwidth(value) {
         this._filterBandwidth = value;
+        this.getAllVoices().forEach((voice) => {voice.soundOscillator.filterNode.Q.value = value});
     }
 
     get filterFrequency() {
         return this._filterFrequency;
     }
 
+    /**
+     * Held voices move to the new cutoff, the ones under the filter envelope re-target its levels from it
+     * @param {number} value
+     */
     set filterFrequency(value) {
         this._filterFrequency = value;
+        this.getAllVoices().forEach((voice) => {
+            if (!voice.soundOscillator.filterEnveloped) voice.soundOscillator.filterNode.frequency.value = value;
+        });
+        this.refreshFilterEnvelopeLevels();
     }
 
     get filterType() {
@@ -637,6 +2593,7 @@ class Synthesizer {
 
     set filterType(value) {
         this._filterType = value;
+        this.getAllVoices().forEach((voice) => {voice.soundOscillator.filterNode.type = value});
     }
 
     get geDepth() {
@@ -645,6 +2602,7 @@ class Synthesizer {
 
     set geDepth(value) {
         this._geDepth = value;
+        this.refreshVelocityGains();
     }
 
     get maxVolume() {
@@ -653,5 +2611,150 @@ class Synthesizer {
 
     set maxVolume(value) {
         this._maxVolume = value;
+        this.refreshVelocityGains();
+    }
+
+    get maxPolyphony() {
+        return this._maxPolyphony;
+    }
+
+    set maxPolyphony(value) {
+        this._maxPolyphony = value;
+    }
+
+    get stealPolicy() {
+        return this._stealPolicy;
+    }
+
+    set stealPolicy(value) {
+        this._stealPolicy = value;
+    }
+
+    get voiceMode() {
+        return this._voiceMode;
+    }
+
+    /**
+     * Switching between "mono" and "legato" keeps the held notes and voice
+     * <br>* Poly to mono/legato moves the held notes to heldNoteStack, keeping the notePriority voice (see holdPolyVoices)
+     * <br>* Mono/legato to poly leaves the sounding voice on its note, released by that note's noteOff
+     * @param {"poly" | "mono" | "legato"} value
+     */
+    set voiceMode(value) {
+        if (value === this._voiceMode) return;
+        let fromPoly = this._voiceMode === "poly";
+        this._voiceMode = value;
+        if (fromPoly) this.holdPolyVoices();
+        else if (value === "poly") {
+            this.heldNoteStack = [];
+            this.monoVoice = null;
+        }
+    }
+
+    get notePriority() {
+        return this._notePriority;
+    }
+
+    set notePriority(value) {
+        this._notePriority = value;
+    }
+
+    get glideTime() {
+        return this._glideTime;
+    }
+
+    set glideTime(value) {
+        this._glideTime = value;
+    }
+
+    get glideMode() {
+        return this._glideMode;
+    }
+
+    set glideMode(value) {
+        this._glideMode = value;
+    }
+
+    get fmAlgorithm() {
+        return this._fmAlgorithm;
+    }
+
+    set fmAlgorithm(value) {
+        if (!(value in FM_ALGORITHMS)) {
+            console.log("Unknown FM algorithm: " + value);
+            return;
+        }
+        this._fmAlgorithm = value;
+    }
+
+    get fmOperators() {
+        return this._fmOperators.map((op) => Object.assign({}, op));
+    }
+
+    set fmOperators(value) {
+        if (value.length < 2 || value.length > 4) {
+            console.log("FM voices need 2-4 operators, got: " + value.length);
+            return;
+        }
+        this._fmOperators = value.map((op) => Object.assign({}, op));
+    }
+
+    get velocityCurve() {
+        return this._velocityCurve;
+    }
+
+    set velocityCurve(value) {
+        this._velocityCurve = value;
+    }
+
+    get velocitySensitivity() {
+        return this._velocitySensitivity;
+    }
+
+    set velocitySensitivity(value) {
+        this._velocitySensitivity = value;
+    }
+
+    get velocityToFilter() {
+        return this._velocityToFilter;
+    }
+
+    set velocityToFilter(value) {
+        this._velocityToFilter = value;
+    }
+
+    get velocityToAttack() {
+        return this._velocityToAttack;
+    }
+
+    set velocityToAttack(value) {
+        this._velocityToAttack = value;
     }
 }
+
+//wraps the setter of every registered parameter so listeners hear about changes made any way,
+//the setters themselves stay plain and may still reject a value (it's only a change if the getter says so)
+for (let name in SYNTH_PARAMS) {
+    const descriptor = Object.getOwnPropertyDescriptor(Synthesizer.prototype, name);
+    Object.defineProperty(Synthesizer.prototype, name, Object.assign({}, descriptor, {
+        set(value) {
+            const oldValue = descriptor.get.call(this);
+            descriptor.set.call(this, value);
+            const newValue = descriptor.get.call(this);
+            if (newValue !== oldValue) this.paramChanged(name, newValue, oldValue);
+        }
+    }));
+}
+//same for list/object parameters, their getters return copies so they're compared by JSON
+//(lfos has no setter, addLfo/removeLfo emit it)
+for (let name of SYNTH_LIST_PARAMS) {
+    const descriptor = Object.getOwnPropertyDescriptor(Synthesizer.prototype, name);
+    if (!descriptor) continue;
+    Object.defineProperty(Synthesizer.prototype, name, Object.assign({}, descriptor, {
+        set(value) {
+            const oldValue = descriptor.get.call(this);
+            descriptor.set.call(this, value);
+            this.listParamChanged(name, descriptor.get.call(this), oldValue);
+        }
+    }));
+}
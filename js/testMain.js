@@ -4,20 +4,49 @@
  *
  * Some spaghetti dynamic UI code to showcase intended usage of the synthesizer object.
  * UI creation starts with initializeAudio() which spawns the first question box
- * and fulfills the WebAudio API requirement for creating a
- * window.audioContext object in DOM from an eventListener function
+ * and fulfills the WebAudio API requirement for creating an
+ * AudioContext from an eventListener function
+ * Loaded as an ES module, the synth and the classes used in the help commands are put on window for the console
  */
 
-//IMPORTANT!!!! - must be initialized to window.audioContext by an event listener
+import {Synthesizer, SYNTH_PATCH_VERSION, SYNTH_PARAMS} from "./synthesizer.js";
+import {Tuning} from "./tuning.js";
+import {Wavetable, registerWavetable} from "./wavetable.js";
+import {SampleMap} from "./sampleMap.js";
+import {PresetLibrary} from "./presetLibrary.js";
+import {renderOffline, renderMidiFile, encodeWavBlob} from "./offlineRenderer.js";
+import {MidiInput} from "./midiInput.js";
+import {MidiMapper} from "./midiMapper.js";
+import {Arpeggiator} from "./arpeggiator.js";
+import {Sequencer, Pattern} from "./sequencer.js";
+import {parseMidiFile, MidiFilePlayer} from "./midiFile.js";
+import {PianoKeyboard} from "./keyboard.js";
+import {ParamControls} from "./paramControls.js";
+
+Object.assign(window, {SYNTH_PARAMS, Tuning, Wavetable, registerWavetable, SampleMap, renderOffline, renderMidiFile, encodeWavBlob, Pattern,
+  parseMidiFile, MidiFilePlayer});
+
+//IMPORTANT!!!! - must be created by an event listener
 let audioContext;
 //Reference for synthesizer object to be created once params are gathered
 let s;
+//Arpeggiator every note input plays through (off until toggled)
+let arp;
+//Step sequencer playing s, started with its button
+let seq;
+//MidiFilePlayer for the last .mid file loaded, plays every channel on s
+let midiFilePlayer = null;
 
 
 let masterGainNode;
-let note = 64;
-let oldNote = 64;
-let soundBtn;
+//MidiInput bound to s once the MIDI button is pressed
+let midiIn;
+//MidiMapper for CC learn, created with midiIn
+let midiMapper;
+//saved patches, kept in localStorage
+let presets = new PresetLibrary();
+//on-screen/computer keyboard, plays through arp
+let keyboard;
 let answers = [];
 let boxes = [];
 
@@ -141,12 +170,16 @@ function initializeAudio() {
   masterGainNode.connect(audioContext.destination);
   s = null;
   s = new Synthesizer(masterGainNode, 'sine', 'lowpass');
-  document.getElementById("realFirstButton").onclick = null;
+  arp = new Arpeggiator(s, {enabled: false});
+  seq = new Sequencer(s, {patterns: [demoPattern()]});
+  Object.assign(window, {s, arp, seq});
   document.getElementById("realFirstButton").remove();
 
   spawnBox(firstQuestion);
 }
 
+document.getElementById("realFirstButton").addEventListener("click", initializeAudio, {once: true});
+
 function spawnStartAudioButton() {
   const button = document.createElement("input");
   button.setAttribute("type", "button");
@@ -156,114 +189,126 @@ function spawnStartAudioButton() {
   document.getElementsByTagName('body')[0].appendChild(button);
 }
 
-//Synth action functions
-function changeNoteNumber() {
-  //s.noteOff(oldNote);
-  let i = document.getElementById("noteRangeSelector").value;
-  note = i;
-  oldNote = i;
-  console.log("Midi note: " + i + " set.");
-  document.getElementById(
-      "noteText").textContent = "Midi note value for synth to play: " + i;
-}
-
-function changeParamValue(id, value) {
-  let numParamSetters = [
-    (v) => s.geA = parseInt(v),
-    (v) => s.geD = parseInt(v),
-    (v) => s.geS = parseFloat(v),
-    (v) => s.geR = parseInt(v),
-    (v) => s.voices = parseInt(v),
-    (v) => s.detune = parseInt(v)
-  ];
-  document.getElementById(id + "Label").firstChild.nodeValue = value;
-  id = parseInt(id.substring(1));
-  numParamSetters[id](value);
-  //console.log(id + ":" + value);
-}
-
-
-
-
 function startSynth() {
   document.getElementById('startAudioButton').remove();
-  //set synth params
-  s.oscType = answers[0];
+  //set synth params from a patch built out of the answers
   let voiceAnswers = answers[1].split(",");
-  s.voices = parseInt(voiceAnswers[0]);
-  s.detune = parseInt(voiceAnswers[1]);
   let envelopeAnswers = answers[2].split(",");
-  s.geA = parseInt(envelopeAnswers[0]);
-  s.geD = parseInt(envelopeAnswers[1]);
-  s.geS = parseFloat(envelopeAnswers[2]);
-  s.geR = parseInt(envelopeAnswers[3]);
-
-  //add to accessible array with labels, range, and step
-  const params = [s.geA, s.geD, s.geS, s.geR, s.voices, s.detune];
-  const numParams = [
-    {type: "attack", param: "geA", range: [0, 5000], step: 5},
-    {type: "decay", param: "geD", range: [0, 5000], step: 5},
-    {type: "sustain", param: "geS", range: [0.01, 1], step: 0.01},
-    {type: "release", param: "geR", range: [0, 5000], step: 5},
-    {type: "voices", param: "voices", range: [1, 6], step: 1},
-    {type: "detune", param: "detune", range: [0, 1200], step: 5}
-  ];
-  //generate param control box
+  s.setPatch({
+    version: SYNTH_PATCH_VERSION,
+    oscillator: {type: answers[0], voices: parseInt(voiceAnswers[0]), detune: parseInt(voiceAnswers[1])},
+    gainEnvelope: {
+      attack: parseInt(envelopeAnswers[0]),
+      decay: parseInt(envelopeAnswers[1]),
+      sustain: parseFloat(envelopeAnswers[2]),
+      release: parseInt(envelopeAnswers[3])
+    }
+  });
+
+  //a control for every registered synth param, following changes made from the console, presets and MIDI
+  const paramControls = new ParamControls(s, {
+    decorate: (param, container) => {
+      let learnButton = document.createElement("input");
+      learnButton.setAttribute("type", "button");
+      learnButton.setAttribute("value", "MIDI learn");
+      learnButton.addEventListener("click", function(){
+        learnParam(param, this);
+      });
+      container.append(learnButton);
+    }
+  });
   const paramControlBox = document.createElement("div");
-  for (let p = 0, l = numParams.length; p < l; p++){
-    let container = document.createElement("div");
-    let numSelect = document.createElement("input");
-    let numSelectLabel = document.createElement("label");
-
-    numSelect.setAttribute("type", "range");
-    numSelect.setAttribute("name", "p"+ numParams[p].type);
-    numSelect.setAttribute("min", numParams[p].range[0].toString());
-    numSelect.setAttribute("max", numParams[p].range[1].toString());
-    numSelect.setAttribute("step", numParams[p].step);
-    numSelect.setAttribute("value", params[p]);
-    numSelect.id = "p" + p;
-    numSelect.addEventListener("change", function(e){
-      changeParamValue(this.id, document.getElementById(this.id).value)
-    });
-
-    numSelectLabel.setAttribute("for", "p" + numParams[p].type);
-    numSelectLabel.id = "p" + p + "Label";
-    numSelectLabel.appendChild(document.createTextNode(params[p]));
-
-    let paramText = document.createElement("p");
-    paramText.appendChild(document.createTextNode(numParams[p].type));
-    container.append(paramText, numSelect, numSelectLabel);
-    paramControlBox.append(container);
-  }
+  paramControls.attach(paramControlBox);
 
-  const inputOn = document.createElement("input");
   const panicButton = document.createElement("input");
-  const noteInputSlider = document.createElement("input");
+  const midiButton = document.createElement("input");
+  const arpButton = document.createElement("input");
+  const seqButton = document.createElement("input");
+  const midiFileInput = document.createElement("input");
+  const midiFileButton = document.createElement("input");
+  const keyboardBox = document.createElement("div");
   const helpTextDiv = document.createElement("div");
 
-  inputOn.setAttribute("value", "Click/hold to play a note!");
-  inputOn.setAttribute("type", "button");
-  inputOn.setAttribute("id", "soundBtn");
-
   panicButton.setAttribute("value", "Stop all sound!");
   panicButton.setAttribute("type", "button");
   panicButton.setAttribute("id", "panicBtn");
-  panicButton.setAttribute("onmousedown", "s.panic()");
-
-  noteInputSlider.setAttribute("value", "64");
-  noteInputSlider.setAttribute("type", "range");
-  noteInputSlider.setAttribute("id", "noteRangeSelector");
-  noteInputSlider.setAttribute("min", "20");
-  noteInputSlider.setAttribute("max", "127");
-
-  noteInputSlider.setAttribute("step", "1");
-  helpTextDiv.appendChild(document.createTextNode("To change synthesizer parameters manually change with sliders above or press f12 to access the console:"));
+  panicButton.addEventListener("mousedown", () => {
+    keyboard.releaseAll();
+    seq.stop();
+    seqButton.value = "Sequencer: start";
+    if (midiFilePlayer) midiFilePlayer.pause();
+    midiFileButton.value = "MIDI file: play";
+    arp.panic();
+  });
+
+  midiButton.setAttribute("value", "Connect MIDI input");
+  midiButton.setAttribute("type", "button");
+  midiButton.setAttribute("id", "midiBtn");
+  midiButton.addEventListener("click", connectMidi, {once: true});
+
+  arpButton.setAttribute("value", "Arpeggiator: off");
+  arpButton.setAttribute("type", "button");
+  arpButton.setAttribute("id", "arpBtn");
+  arpButton.addEventListener("click", function(){
+    arp.enabled = !arp.enabled;
+    this.value = "Arpeggiator: " + (arp.enabled ? "on" : "off");
+  });
+
+  seqButton.setAttribute("value", "Sequencer: start");
+  seqButton.setAttribute("type", "button");
+  seqButton.setAttribute("id", "seqBtn");
+  seqButton.addEventListener("click", function(){
+    if (seq.playing) seq.stop();
+    else seq.start();
+    this.value = "Sequencer: " + (seq.playing ? "stop" : "start");
+  });
+
+  midiFileInput.setAttribute("type", "file");
+  midiFileInput.setAttribute("accept", ".mid,.midi");
+  midiFileInput.setAttribute("id", "midiFileInput");
+  midiFileInput.addEventListener("change", function(){
+    if (this.files.length === 0) return;
+    this.files[0].arrayBuffer().then((buffer) => {
+      if (midiFilePlayer) midiFilePlayer.stop();
+      midiFilePlayer = new MidiFilePlayer(parseMidiFile(buffer), s);
+      window.midiFilePlayer = midiFilePlayer;
+      midiFileButton.removeAttribute("disabled");
+      midiFileButton.value = "MIDI file: play";
+    }).catch((e) => console.log("Couldn't load MIDI file: " + e.message));
+  });
+
+  midiFileButton.setAttribute("value", "MIDI file: play");
+  midiFileButton.setAttribute("type", "button");
+  midiFileButton.setAttribute("id", "midiFileBtn");
+  midiFileButton.setAttribute("disabled", "");
+  midiFileButton.addEventListener("click", function(){
+    if (midiFilePlayer.playing) midiFilePlayer.pause();
+    else midiFilePlayer.play();
+    this.value = "MIDI file: " + (midiFilePlayer.playing ? "pause" : "play");
+  });
+
+  keyboardBox.setAttribute("id", "keyboardBox");
+  keyboardBox.appendChild(document.createTextNode("Play with the mouse/touch, or the computer keyboard (A-; plays, Z/X shift the octave):"));
+  keyboard = new PianoKeyboard(arp, {lowNote: 48, highNote: 84});
+  keyboard.attach(keyboardBox);
+  window.keyboard = keyboard;
+
+  helpTextDiv.appendChild(document.createTextNode("To change synthesizer parameters manually change with the controls above or press f12 to access the console:"));
   helpTextDiv.appendChild(document.createElement("br"));
   helpTextDiv.appendChild(document.createTextNode("List of commands:"))
   const helpTextList = document.createElement("ul");
   let commands = [
     "See summary of all note states in console: s.logNotesSummary()",
-    "Oscillator Type: s.oscType = \"(sine,sawtooth,triangle,square)\"",
+    "Any parameter with a control: s.setParam(\"{name}\", {value}) (clamped to its range) / s.getParams() / SYNTH_PARAMS[\"{name}\"]",
+    "Follow parameter changes: s.on(\"paramchange\", (e) => console.log(e.name, e.oldValue, e.value, e.source))",
+    "Follow voices: s.on(\"(voicestart,voicerelease,voiceend,voicesteal)\", (e) => console.log(e.note, e.time)) / s.off({type}, {listener})",
+    "Other events: s.on(\"(patchload,panic)\", (e) => console.log(e.time)), times are in s.context.currentTime seconds",
+    "Envelope state of a voice: s.noteOnList[{midi note}][0].state",
+    "Leak check (undisposed voices/nodes): s.checkLeaks()",
+    "Oscillator Type: s.oscType = \"(sine,sawtooth,triangle,square,custom,sampler,fm)\"",
+    "Wavetable: s.wavetable = \"(basic,pwm,harmonic-sweep,organ)\" / s.wavetablePosition = {0.0 to 1.0}",
+    "Custom wavetable: registerWavetable({name}, Wavetable.fromHarmonics([{amplitudes}], [{phases}]))",
+    "Load a sample: s.sampleMap = new SampleMap(); s.sampleMap.loadZone(s.context, \"{url}\", {rootNote: 60})",
     "Voices per note: s.voices = {integer}",
     "Voice detune start value: s.detune = {cents}",
     "Gain Envelope Attack: s.geA = {time in ms}",
@@ -272,7 +317,50 @@ function startSynth() {
     "Gain Envelope Release: s.geR = {time in ms}",
     "Master filter type: s.filterType = \"{lowpass,highpass,lowshelf,etc.}\"",
     "Master filter cutoff frequency: s.filterFrequency = {value in hz}",
-    "Master filter Q value: s.filterBandwidth = {resonance value in dB / Q value}"
+    "Master filter Q value: s.filterBandwidth = {resonance value in dB / Q value}",
+    "Filter envelope on/off: s.envelopeFilter = {true/false}",
+    "Filter envelope depth: s.feDepth = {hz added to cutoff at envelope peak, can be negative}",
+    "Filter Envelope Attack/Decay/Release: s.feA / s.feD / s.feR = {time in ms}",
+    "Filter Envelope Sustain: s.feS = {0.0 to 1.0}",
+    "Velocity curve: s.velocityCurve = \"(linear,exponential,logarithmic,fixed)\"",
+    "Velocity sensitivity: s.velocitySensitivity = {0.0 to 1.0}",
+    "Velocity to filter cutoff: s.velocityToFilter = {cents at full velocity}",
+    "Velocity to attack time: s.velocityToAttack = {0.0 to 1.0, amount attack shortens at full velocity}",
+    "Keyboard: keyboard.lowNote / keyboard.highNote = {midi note} / keyboard.octave = {-4 to 4} / keyboard.velocity = {1-127} / keyboard.qwerty = (true,false)",
+    "Play a note with velocity: s.noteOn({midi note}, {velocity 0-127})",
+    "Schedule a note: s.noteOn({midi note}, {velocity}, s.context.currentTime + {seconds}) / s.noteOff({midi note}, {when})",
+    "Arpeggiator on/off: arp.enabled = (true,false) (notes from the button and MIDI play through it)",
+    "Arpeggiator mode: arp.mode = \"(up,down,up-down,random,as-played,chord)\"",
+    "Arpeggiator rate: arp.bpm = {beats per minute}, arp.division = \"(1/1,1/2,1/4,1/8,1/8t,1/16,1/16t,1/32)\"",
+    "Arpeggiator feel: arp.octaves = {1-4}, arp.gate = {0.01-1 of a step}, arp.swing = {0.0 to 1.0}, arp.latch = (true,false)",
+    "Sequencer: seq.start() / seq.stop() / seq.bpm = {beats per minute} / seq.swing = {0.0 to 1.0} / seq.loop = (true,false)",
+    "Sequencer pattern: seq.patterns[{index}].setStep({step}, {note, velocity, gate: {0.01-1}, tie: (true,false), probability: {0.0 to 1.0}})",
+    "Sequencer chain: seq.patterns.push(Pattern.fromNotes([{midi note or null}, ...], {step settings}, \"{division}\")); seq.chain = [0, 1, ...]",
+    "MIDI file (after loading one): midiFilePlayer.play() / .pause() / .stop() / .seek({seconds}) / .loop = (true,false)",
+    "MIDI file channels: midiFilePlayer.assignments = []; midiFilePlayer.assign([{channels 1-16}], {synth})",
+    "Render a MIDI file: renderMidiFile(midiFilePlayer.midiFile, s.getPatch()).then((buffer) => encodeWavBlob(buffer))",
+    "Play a note for a duration: s.playNote({midi note}, {duration in seconds}, {when, 0 for now}, {velocity})",
+    "Polyphony limit: s.maxPolyphony = {max voices, 0 for unlimited}",
+    "Voice stealing: s.stealPolicy = \"(oldest,quietest,same-note,releasing)\"",
+    "Voice mode: s.voiceMode = \"(poly,mono,legato)\"",
+    "Mono note priority: s.notePriority = \"(last,low,high)\"",
+    "Portamento: s.glideTime = {time in ms} / s.glideMode = \"(legato,always)\"",
+    "Add an LFO: lfo = s.addLfo({shape: \"(sine,triangle,square,sawtooth,sample-hold)\", rate: {hz}, routes: {pitch: {cents}}})",
+    "LFO settings: lfo.rate / lfo.depth / lfo.phase / lfo.delay / lfo.fade / lfo.mode = \"(free,retrigger)\"",
+    "LFO routing: lfo.setRoute(\"(pitch,gain,cutoff,q,pan,position)\", {amount})",
+    "Oscillator slots: s.oscSlots = [{type: \"(sine,square,sawtooth,triangle,custom,noise)\", octave, semi, fine, level, voices, detune, wavetable}, ...] (up to 3)",
+    "Change an oscillator slot: s.setOscSlot({index}, {settings})",
+    "Unison stereo width: s.stereoWidth = {0.0 to 1.0} / s.spreadCurve = \"(linear,center,edges)\" / s.randomPhase = {true/false}",
+    "Pan: s.pan = {-1.0 to 1.0} / s.panKeyTrack = {pan per octave from middle C}",
+    "Reference pitch: s.referenceFrequency = {hz of A4}",
+    "Tuning: s.tuning = Tuning.equalTemperament({divisions}) / Tuning.justIntonation() / Tuning.fromScala({.scl text})",
+    "Keyboard mapping: s.tuning.loadKeyboardMapping({.kbm text}); s.retune()",
+    "Sub oscillator: s.subLevel = {0.0 to 1.0} / s.subOctave = {-1 or -2} / s.subType = \"(sine,square,triangle,sawtooth)\"",
+    "Noise: s.noiseLevel = {0.0 to 1.0}",
+    "FM voices: s.oscType = \"fm\" / s.fmAlgorithm = \"(stack,two-stacks,three-to-one,branch,one-to-three,stack-plus-carriers,additive)\"",
+    "FM operators: s.fmOperators = [{ratio, fixed, level, attack, decay, sustain, release, feedback}, ...] (2-4 operators)",
+    "Change an FM operator: s.setFMOperator({index}, {settings})",
+    "Render offline: renderOffline(s.getPatch(), [{note, time, duration, velocity}, ...]).then((buffer) => encodeWavBlob(buffer, (16,24,32)))"
   ];
   for (let c in commands){
     let li = document.createElement("li");
@@ -282,21 +370,103 @@ function startSynth() {
 
   helpTextDiv.appendChild(helpTextList);
 
-  inputOn.addEventListener("mousedown", playNote);
-  inputOn.addEventListener("mouseup", stopNote);
-  noteInputSlider.addEventListener("change", changeNoteNumber);
-  document.getElementById("noteText").removeAttribute("hidden");
-
   const controlBox = document.createElement("div");
-  controlBox.append(inputOn, panicButton, noteInputSlider);
+  controlBox.append(panicButton, midiButton, arpButton, seqButton, midiFileInput, midiFileButton);
 
-  document.body.append(controlBox, document.createElement("br"), paramControlBox, helpTextDiv);
+  document.body.append(controlBox, document.createElement("br"), keyboardBox, document.createElement("br"), paramControlBox, spawnPresetBox(), helpTextDiv);
 }
 
-function playNote() {
-  s.noteOn(note);
+/**
+ * Pattern the sequencer starts with, a bass line using rests, ties and a step that only plays half the time
+ * @return {Pattern}
+ */
+function demoPattern() {
+  const pattern = Pattern.fromNotes([36, null, 48, 36, 39, null, 43, null, 36, 36, 46, null, 43, null, 41, null], {gate: 0.6});
+  pattern.setStep(5, {tie: true});
+  pattern.setStep(9, {probability: 0.5});
+  pattern.setStep(13, {tie: true});
+  return pattern;
+}
+
+function connectMidi() {
+  midiIn = new MidiInput(arp);
+  midiMapper = new MidiMapper(s);
+  midiIn.mapper = midiMapper;
+  //restore CC mappings from the last session
+  if (localStorage.getItem("midiMappings")) midiMapper.loadMappings(localStorage.getItem("midiMappings"));
+  MidiInput.requestAccess().then((midiAccess) => {
+    midiIn.bindAllInputs(midiAccess);
+    //bind devices plugged in later on
+    midiAccess.addEventListener("statechange", (e) => {
+      if (e.port.type === "input" && e.port.state === "connected") midiIn.bindInput(e.port);
+    });
+    document.getElementById("midiBtn").value = "MIDI connected (" + midiAccess.inputs.size + " inputs)";
+  }).catch((e) => {
+    console.log("MIDI unavailable: " + e.message);
+    document.getElementById("midiBtn").value = "MIDI unavailable";
+  });
 }
 
-function stopNote() {
-  s.noteOff(note);
+function learnParam(param, button) {
+  if (!midiMapper) {
+    console.log("Connect MIDI input before learning a CC");
+    return;
+  }
+  button.value = "Move a knob...";
+  midiMapper.learn(param).then((mapping) => {
+    button.value = mapping ? "CC " + mapping.cc : "MIDI learn";
+    localStorage.setItem("midiMappings", JSON.stringify(midiMapper));
+  });
+}
+
+//builds the preset save/load controls
+function spawnPresetBox() {
+  const presetBox = document.createElement("div");
+  const nameInput = document.createElement("input");
+  const presetSelect = document.createElement("select");
+
+  nameInput.setAttribute("type", "text");
+  nameInput.setAttribute("placeholder", "preset name");
+
+  function refreshPresetList() {
+    presetSelect.replaceChildren();
+    presets.list().forEach((name) => {
+      const optionElement = document.createElement("option");
+      optionElement.appendChild(document.createTextNode(name));
+      optionElement.setAttribute("value", name);
+      presetSelect.appendChild(optionElement);
+    });
+  }
+
+  const buttons = [
+    {value: "Save preset", action: () => {
+      if (nameInput.value) presets.save(nameInput.value, s.getPatch());
+    }},
+    {value: "Load preset", action: () => {
+      if (!presetSelect.value) return;
+      s.setPatch(presets.load(presetSelect.value));
+    }},
+    {value: "Rename preset", action: () => {
+      if (presetSelect.value && nameInput.value) presets.rename(presetSelect.value, nameInput.value);
+    }},
+    {value: "Delete preset", action: () => presets.delete(presetSelect.value)}
+  ];
+  presetBox.append(document.createTextNode("Presets: "), nameInput);
+  buttons.forEach((b) => {
+    const button = document.createElement("input");
+    button.setAttribute("type", "button");
+    button.setAttribute("value", b.value);
+    button.addEventListener("click", () => {
+      try {
+        b.action();
+      } catch (e) {
+        console.log(e.message);
+      }
+      refreshPresetList();
+    });
+    presetBox.append(button);
+  });
+  presetBox.append(presetSelect);
+  refreshPresetList();
+  return presetBox;
 }
@@ -0,0 +1,204 @@
+/**
+ * tuning.js
+ * Written by Mirthe_
+ *
+ * Tuning class for Synthesizer note frequencies
+ * * Scales are lists of pitches in cents (the last pitch is the period, usually the 1200 cent octave)
+ * * Keyboard mappings place scale degrees on midi notes the same way Scala .kbm files do
+ * * Equal temperaments, just intonation and Scala .scl/.kbm text can all be loaded
+ */
+
+/**
+ * 5-limit just intonation ratios for a 12 note scale (degrees 1-12, 2/1 is the octave)
+ * @type {number[]}
+ */
+export const JUST_INTONATION_RATIOS = [16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8, 2];
+
+export class Tuning {
+    /**
+     * Scale + keyboard mapping, defaults to 12 tone equal temperament with A4 (note 69) at 440hz
+     * @param {number[]} [cents] pitch of each scale degree above the tonic in cents, the last one is the period
+     * @param {string} [description] scale description
+     * @constructor
+     */
+    constructor(cents = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200], description = "12 tone equal temperament") {
+        /** @type {number[]} */
+        this.cents = cents.slice();
+
+        /** @type {string} */
+        this.description = description;
+
+        /**
+         * Keyboard mapping, size 0 maps every note to the next scale degree
+         * <br>keys: scale degree of each key in the repeating map, null for unmapped keys
+         * <br>octaveDegree: scale degree the map repeats at (0 uses the scale size)
+         * @type {{size: number, firstNote: number, lastNote: number, middleNote: number, octaveDegree: number, keys: (number|null)[]}}
+         */
+        this.mapping = {size: 0, firstNote: 0, lastNote: 127, middleNote: 60, octaveDegree: 0, keys: []};
+
+        /** midi note that plays at referenceFrequency */
+        this.referenceNote = 69;
+
+        /** frequency of referenceNote in hz */
+        this.referenceFrequency = 440;
+    }
+
+    /**
+     * Creates an equal temperament
+     * @param {number} divisions number of equal steps per period
+     * @param {number} [period] period in cents (1200 is the octave)
+     * @return {Tuning}
+     */
+    static equalTemperament(divisions, period = 1200) {
+        const cents = [];
+        for (let k = 1; k <= divisions; k++) cents.push(k * period / divisions);
+        return new Tuning(cents, divisions + " tone equal temperament");
+    }
+
+    /**
+     * Creates a just intonation scale from frequency ratios
+     * <br>* The tonic is the keyboard mapping's middleNote (60), set referenceNote/referenceFrequency to place it
+     * @param {number[]} [ratios] ratio of each degree to the tonic, the last one is the period
+     * @return {Tuning}
+     */
+    static justIntonation(ratios = JUST_INTONATION_RATIOS) {
+        return new Tuning(ratios.map((ratio) => 1200 * Math.log2(ratio)), "Just intonation");
+    }
+
+    /**
+     * Creates a tuning from the text of a Scala .scl file
+     * <br>* Pitches with a period are cents, others are ratios (ie. 3/2 or 2)
+     * @param {string} text
+     * @return {Tuning}
+     */
+    static fromScala(text) {
+        //comments start with !, the description line may be empty so blank lines aren't skipped
+        const lines = text.split(/\r?\n/).filter((line) => !line.startsWith("!"));
+        if (lines.length < 2) throw new Error("Not a Scala scale file");
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim());
+        if (isNaN(count)) throw new Error("Scala scale has no note count: " + lines[1]);
+        const cents = [];
+        for (let i = 2; i < lines.length && cents.length < count; i++) {
+            const pitch = lines[i].trim().split(/\s+/)[0];
+            if (pitch === "") continue;
+            cents.push(Tuning.parseScalaPitch(pitch));
+        }
+        if (cents.length < count) throw new Error("Scala scale has " + cents.length + " of " + count + " notes");
+        return new Tuning(cents, description);
+    }
+
+    /**
+     * Returns a Scala pitch in cents
+     * @param {string} pitch cents (contains a period) or a ratio
+     * @return {number}
+     */
+    static parseScalaPitch(pitch) {
+        if (pitch.includes(".")) {
+            const cents = parseFloat(pitch);
+            if (isNaN(cents)) throw new Error("Invalid Scala pitch: " + pitch);
+            return cents;
+        }
+        const [numerator, denominator = "1"] = pitch.split("/");
+        const ratio = parseInt(numerator) / parseInt(denominator);
+        if (!(ratio > 0)) throw new Error("Invalid Scala pitch: " + pitch);
+        return 1200 * Math.log2(ratio);
+    }
+
+    /**
+     * Loads a Scala .kbm keyboard mapping from its text
+     * <br>* Replaces this tuning's mapping, reference note and reference frequency
+     * @param {string} text
+     * @return {Tuning} this tuning
+     */
+    loadKeyboardMapping(text) {
+        const values = text.split(/\r?\n/)
+            .filter((line) => !line.startsWith("!") && line.trim() !== "")
+            .map((line) => line.trim().split(/\s+/)[0]);
+        if (values.length < 7) throw new Error("Not a Scala keyboard mapping file");
+        const size = parseInt(values[0]);
+        const keys = values.slice(7, 7 + size).map((key) => key === "x" ? null : parseInt(key));
+        //missing entries at the end of a map are unmapped
+        while (keys.length < size) keys.push(null);
+        this.mapping = {
+            size: size,
+            firstNote: parseInt(values[1]),
+            lastNote: parseInt(values[2]),
+            middleNote: parseInt(values[3]),
+            octaveDegree: parseInt(values[6]),
+            keys: keys
+        };
+        this.referenceNote = parseInt(values[4]);
+        this.referenceFrequency = parseFloat(values[5]);
+        return this;
+    }
+
+    /**
+     * Returns the scale degree a note plays (relative to the tonic at middleNote), or null if it's unmapped
+     * @param {number} note Midi note value
+     * @return {number|null}
+     */
+    noteDegree(note) {
+        const map = this.mapping;
+        const offset = note - map.middleNote;
+        if (map.size === 0) return offset;
+        const repeat = Math.floor(offset / map.size);
+        const key = map.keys[offset - (repeat * map.size)];
+        if (key === null || key === undefined) return null;
+        return (repeat * (map.octaveDegree || this.cents.length)) + key;
+    }
+
+    /**
+     * Returns the pitch of a scale degree above the tonic in cents (degrees repeat every period)
+     * @param {number} degree
+     * @return {number}
+     */
+    degreeCents(degree) {
+        const size = this.cents.length;
+        const period = Math.floor(degree / size);
+        const step = degree - (period * size);
+        return (period * this.cents[size - 1]) + (step === 0 ? 0 : this.cents[step - 1]);
+    }
+
+    /**
+     * Returns the frequency of a midi note in hz, or null if the note is unmapped/out of the mapping's range
+     * @param {number} note Midi note value
+     * @return {number|null}
+     */
+    frequency(note) {
+        if (note < this.mapping.firstNote || note > this.mapping.lastNote) return null;
+        const degree = this.noteDegree(note);
+        if (degree === null) return null;
+        //an unmapped reference note still sets the pitch at its position in the plain scale
+        let referenceDegree = this.noteDegree(this.referenceNote);
+        if (referenceDegree === null) referenceDegree = this.referenceNote - this.mapping.middleNote;
+        return this.referenceFrequency * Math.pow(2, (this.degreeCents(degree) - this.degreeCents(referenceDegree)) / 1200);
+    }
+
+    /**
+     * Returns the tuning as a JSON-serializable object (load with Tuning.fromJSON())
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            description: this.description,
+            cents: this.cents.slice(),
+            mapping: Object.assign({}, this.mapping, {keys: this.mapping.keys.slice()}),
+            referenceNote: this.referenceNote,
+            referenceFrequency: this.referenceFrequency
+        };
+    }
+
+    /**
+     * Creates a tuning saved by toJSON()
+     * @param {Object} json
+     * @return {Tuning}
+     */
+    static fromJSON(json) {
+        const tuning = new Tuning(json.cents, json.description);
+        if (json.mapping) tuning.mapping = Object.assign({}, tuning.mapping, json.mapping);
+        if (json.referenceNote !== undefined) tuning.referenceNote = json.referenceNote;
+        if (json.referenceFrequency !== undefined) tuning.referenceFrequency = json.referenceFrequency;
+        return tuning;
+    }
+}
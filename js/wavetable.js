@@ -0,0 +1,273 @@
+/**
+ * wavetable.js
+ * Written by Mirthe_
+ *
+ * Wavetable class and wavetable bank for the "custom" oscType
+ * * A wavetable is a list of frames, each frame is one PeriodicWave (fourier real/imag arrays)
+ * * Frames can be made from harmonic amplitude/phase arrays, or imported from single cycle samples via FFT
+ * * Voices morph between frames by crossfading one oscillator per frame (see wavetableFrameCurve)
+ */
+
+/** harmonics kept when importing a frame from samples */
+export const WAVETABLE_HARMONICS = 256;
+
+/** samples a cycle is resampled to before its FFT (power of 2) */
+export const WAVETABLE_FFT_SIZE = 2048;
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re real part, length must be a power of 2
+ * @param {Float64Array} im imaginary part
+ */
+function fft(re, im) {
+    const n = re.length;
+    //bit reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+export class Wavetable {
+    /**
+     * List of PeriodicWave frames a "custom" voice can morph between
+     * @param {{real: number[], imag: number[]}[]} [frames] frames as saved by toJSON()
+     * @constructor
+     */
+    constructor(frames = []) {
+        /** @type {{real: Float32Array, imag: Float32Array}[]} */
+        this.frames = [];
+
+        /**
+         * PeriodicWaves made for each frame at phase 0, per context (waves can only be used on the context that made them)
+         * @type {WeakMap<BaseAudioContext, PeriodicWave[]>}
+         */
+        this.waves = new WeakMap();
+
+        frames.forEach((frame) => this.addFrame(frame.real, frame.imag));
+    }
+
+    /**
+     * Creates a single frame wavetable from harmonic amplitudes
+     * @param {number[]} amplitudes amplitude of each harmonic, starting at the fundamental
+     * @param {number[]} [phases] phase of each harmonic 0-1
+     * @return {Wavetable}
+     */
+    static fromHarmonics(amplitudes, phases = []) {
+        return new Wavetable().addHarmonicFrame(amplitudes, phases);
+    }
+
+    /**
+     * Creates a wavetable from single cycle waveforms laid end to end
+     * @param {AudioBuffer|Float32Array|number[]} samples samples (first channel of an AudioBuffer)
+     * @param {number} [frameCount] number of equal length cycles in samples
+     * @return {Wavetable}
+     */
+    static fromSamples(samples, frameCount = 1) {
+        if (samples instanceof AudioBuffer) samples = samples.getChannelData(0);
+        const wavetable = new Wavetable();
+        const frameLength = samples.length / frameCount;
+        for (let f = 0; f < frameCount; f++) {
+            wavetable.addSampleFrame(samples.slice(Math.round(f * frameLength), Math.round((f + 1) * frameLength)));
+        }
+        return wavetable;
+    }
+
+    /**
+     * Adds a frame from harmonic amplitudes/phases
+     * @param {number[]} amplitudes amplitude of each harmonic, starting at the fundamental
+     * @param {number[]} [phases] phase of each harmonic 0-1
+     * @return {Wavetable} this wavetable
+     */
+    addHarmonicFrame(amplitudes, phases = []) {
+        const real = new Float32Array(amplitudes.length + 1);
+        const imag = new Float32Array(amplitudes.length + 1);
+        amplitudes.forEach((amplitude, i) => {
+            const angle = 2 * Math.PI * (phases[i] || 0);
+            real[i + 1] = amplitude * Math.sin(angle);
+            imag[i + 1] = amplitude * Math.cos(angle);
+        });
+        return this.addFrame(real, imag);
+    }
+
+    /**
+     * Adds a frame from one cycle of samples
+     * <br>* The cycle is resampled to WAVETABLE_FFT_SIZE and its first WAVETABLE_HARMONICS harmonics are kept
+     * @param {Float32Array|number[]} cycle
+     * @return {Wavetable} this wavetable
+     */
+    addSampleFrame(cycle) {
+        const n = WAVETABLE_FFT_SIZE;
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = i * cycle.length / n;
+            const i0 = Math.floor(x);
+            const i1 = (i0 + 1) % cycle.length;
+            re[i] = cycle[i0] + (cycle[i1] - cycle[i0]) * (x - i0);
+        }
+        fft(re, im);
+        const harmonics = Math.min(WAVETABLE_HARMONICS, n / 2);
+        const real = new Float32Array(harmonics);
+        const imag = new Float32Array(harmonics);
+        //PeriodicWave is sum(real * cos + imag * sin), the FFT gives the conjugate of imag
+        for (let k = 1; k < harmonics; k++) {
+            real[k] = 2 * re[k] / n;
+            imag[k] = -2 * im[k] / n;
+        }
+        return this.addFrame(real, imag);
+    }
+
+    /**
+     * Adds a frame from fourier coefficients (see BaseAudioContext.createPeriodicWave)
+     * @param {Float32Array|number[]} real cosine terms
+     * @param {Float32Array|number[]} imag sine terms
+     * @return {Wavetable} this wavetable
+     */
+    addFrame(real, imag) {
+        this.frames.push({real: Float32Array.from(real), imag: Float32Array.from(imag)});
+        return this;
+    }
+
+    /**
+     * Returns the PeriodicWave of a frame, optionally starting at a phase offset
+     * @param {BaseAudioContext} context
+     * @param {number} index frame index
+     * @param {number} [phase] 0-1 of a cycle (waves at phase 0 are cached)
+     * @return {PeriodicWave}
+     */
+    getPeriodicWave(context, index, phase = 0) {
+        const frame = this.frames[index];
+        if (phase === 0) {
+            if (!this.waves.has(context)) this.waves.set(context, []);
+            const waves = this.waves.get(context);
+            if (!waves[index]) waves[index] = context.createPeriodicWave(frame.real, frame.imag);
+            return waves[index];
+        }
+        const real = new Float32Array(frame.real.length);
+        const imag = new Float32Array(frame.imag.length);
+        const angle = 2 * Math.PI * phase;
+        for (let k = 1; k < real.length; k++) {
+            const cos = Math.cos(k * angle);
+            const sin = Math.sin(k * angle);
+            real[k] = frame.real[k] * cos + frame.imag[k] * sin;
+            imag[k] = frame.imag[k] * cos - frame.real[k] * sin;
+        }
+        return context.createPeriodicWave(real, imag);
+    }
+
+    /**
+     * Returns the frames as a JSON-serializable object (load with new Wavetable(json.frames))
+     * @return {{frames: {real: number[], imag: number[]}[]}}
+     */
+    toJSON() {
+        return {frames: this.frames.map((frame) => ({real: Array.from(frame.real), imag: Array.from(frame.imag)}))};
+    }
+}
+
+/**
+ * Returns a WaveShaper curve giving the crossfade gain of one frame for a wavetable position
+ * <br>* Position 0-1 is fed in from the voice's positionNode, each frame peaks at its own position
+ * and fades out linearly towards its neighbours
+ * @param {number} frame frame index
+ * @param {number} frameCount number of frames in the wavetable
+ * @return {Float32Array}
+ */
+export function wavetableFrameCurve(frame, frameCount) {
+    const length = 2049;
+    const curve = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        //curve input runs -1 to 1, positions below 0 hold the first frame
+        const position = Math.max((i / (length - 1)) * 2 - 1, 0);
+        curve[i] = Math.max(1 - Math.abs(position * (frameCount - 1) - frame), 0);
+    }
+    return curve;
+}
+
+/**
+ * Built-in wavetables, each a function returning its frames as single cycles of samples
+ * @type {Object<string, function(): Float32Array[]>}
+ */
+export const WAVETABLE_BANK = {
+    //sine -> triangle -> square -> sawtooth
+    "basic": () => [
+        (x) => Math.sin(2 * Math.PI * x),
+        (x) => 1 - 4 * Math.abs(((x + 0.25) % 1) - 0.5),
+        (x) => x < 0.5 ? 1 : -1,
+        (x) => 2 * ((x + 0.5) % 1) - 1
+    ].map(sampleCycle),
+    //pulse width 50% down to 5%
+    "pwm": () => [0.5, 0.4, 0.3, 0.2, 0.12, 0.05].map((width) => sampleCycle((x) => x < width ? 1 : -1)),
+    //harmonics added one octave at a time
+    "harmonic-sweep": () => [1, 2, 4, 8, 16, 32].map((count) => sampleCycle((x) => {
+        let value = 0;
+        for (let k = 1; k <= count; k++) value += Math.sin(2 * Math.PI * k * x) / k;
+        return value / 2;
+    })),
+    //drawbar organ (16', 8', 5 1/3', 4', 2')
+    "organ": () => [sampleCycle((x) => [[1, 1], [2, 0.8], [3, 0.6], [4, 0.5], [8, 0.3]]
+        .reduce((sum, [k, level]) => sum + level * Math.sin(2 * Math.PI * k * x), 0) / 3)]
+};
+
+/**
+ * Samples one cycle of a function of phase 0-1
+ * @param {function(number): number} shape
+ * @return {Float32Array}
+ */
+function sampleCycle(shape) {
+    const cycle = new Float32Array(WAVETABLE_FFT_SIZE);
+    for (let i = 0; i < cycle.length; i++) cycle[i] = shape(i / cycle.length);
+    return cycle;
+}
+
+/**
+ * Wavetables by name: registered tables and built-in tables once they have been used
+ * @type {Map<string, Wavetable>}
+ */
+const wavetableRegistry = new Map();
+
+/**
+ * Registers a wavetable under a name, so slots/patches can refer to it (replaces any with the same name)
+ * @param {string} name
+ * @param {Wavetable} wavetable
+ */
+export function registerWavetable(name, wavetable) {
+    wavetableRegistry.set(name, wavetable);
+}
+
+/**
+ * Returns a registered or built-in wavetable by name, or null if there is none
+ * @param {string} name
+ * @return {Wavetable|null}
+ */
+export function getWavetable(name) {
+    if (!wavetableRegistry.has(name)) {
+        if (!(name in WAVETABLE_BANK)) return null;
+        const wavetable = new Wavetable();
+        WAVETABLE_BANK[name]().forEach((cycle) => wavetable.addSampleFrame(cycle));
+        wavetableRegistry.set(name, wavetable);
+    }
+    return wavetableRegistry.get(name);
+}
@@ -0,0 +1,75 @@
+/**
+ * arpeggiator.test.mjs
+ * Written by Mirthe_
+ *
+ * Checks the Arpeggiator never leaves voices held and only releases its own, on a stub synth
+ * * Run with: node --test test/arpeggiator.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Arpeggiator} from "../js/arpeggiator.js";
+import {stubSynth} from "./stubSynth.mjs";
+
+test("steps play the held notes in order with their gate", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {bpm: 120, division: "1/16", gate: 0.5});
+    arp.noteOn(60, 100);
+    arp.noteOn(64, 100);
+    synth.advance(0.5);
+    assert.deepEqual(synth.voices.slice(0, 4).map((voice) => [voice.note, voice.start, voice.end]),
+        [[60, 0, 0.0625], [64, 0.125, 0.1875], [60, 0.25, 0.3125], [64, 0.375, 0.4375]]);
+});
+
+test("releasing the last key cancels the steps scheduled ahead", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {bpm: 120, division: "1/16"});
+    arp.noteOn(60, 100);
+    arp.noteOn(64, 100);
+    synth.advance(0.31);
+    //the step at 0.375 has already been handed to the synth
+    assert.ok(synth.voices.some((voice) => voice.note === 64 && voice.start === 0.375));
+    arp.noteOff(60);
+    arp.noteOff(64);
+    synth.advance(1);
+    //a voice handed to the synth ahead is released before its start, so it never sounds
+    assert.ok(synth.voices.every((voice) => voice.start < 0.31 || voice.end <= voice.start),
+        "a step sounded after the keys were released");
+    assert.deepEqual(synth.heldVoices(), []);
+});
+
+test("disabling the arp releases its voices and plays the pressed keys", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {gate: 1});
+    arp.noteOn(60, 100);
+    synth.advance(0.05);
+    arp.enabled = false;
+    assert.deepEqual(synth.heldVoices().map((voice) => voice.note), [60]);
+    arp.noteOff(60);
+    assert.deepEqual(synth.heldVoices(), []);
+    synth.advance(1);
+    assert.deepEqual(synth.heldVoices(), []);
+});
+
+test("other inputs on the same note keep their voice", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {gate: 1});
+    synth.noteOn(60, 90);
+    arp.noteOn(60, 100);
+    synth.advance(0.3);
+    arp.noteOff(60);
+    synth.advance(1);
+    assert.deepEqual(synth.heldVoices().map((voice) => [voice.note, voice.by]), [[60, "noteOn"]]);
+});
+
+test("latched notes keep playing until stopped by a new chord", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {latch: true});
+    arp.noteOn(60, 100);
+    arp.noteOff(60);
+    synth.advance(0.3);
+    assert.ok(synth.voices.length >= 2);
+    arp.latch = false;
+    synth.advance(1);
+    assert.deepEqual(synth.heldVoices(), []);
+});
@@ -0,0 +1,58 @@
+/**
+ * keyboard.test.mjs
+ * Written by Mirthe_
+ *
+ * Checks PianoKeyboard pairs every note it plays with one release, without putting it on a page
+ * * Run with: node --test test/keyboard.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {PianoKeyboard} from "../js/keyboard.js";
+import {Arpeggiator} from "../js/arpeggiator.js";
+import {stubSynth} from "./stubSynth.mjs";
+
+test("releases its own voice, not the newest one on the note", () => {
+    const synth = stubSynth();
+    const keyboard = new PianoKeyboard(synth);
+    keyboard.press("key:KeyA", 60);
+    //another input (ie. a sequencer) starts a voice on the same note
+    const other = synth.startNote(60, 90);
+    keyboard.release("key:KeyA");
+    assert.deepEqual(synth.heldVoices(), [other.voice]);
+});
+
+test("gliding a pointer across keys releases each note it leaves", () => {
+    const synth = stubSynth();
+    const keyboard = new PianoKeyboard(synth);
+    keyboard.press("pointer:1", 60);
+    keyboard.press("pointer:1", 62);
+    keyboard.press("pointer:1", 62);
+    assert.deepEqual(synth.heldVoices().map((voice) => voice.note), [62]);
+    keyboard.releaseAll();
+    assert.deepEqual(synth.heldVoices(), []);
+    assert.equal(synth.voices.length, 2);
+});
+
+test("a note held by a pointer and a key plays until both let go through an Arpeggiator", () => {
+    const synth = stubSynth();
+    const arp = new Arpeggiator(synth, {enabled: false});
+    const keyboard = new PianoKeyboard(arp);
+    keyboard.press("pointer:1", 60);
+    keyboard.press("key:KeyA", 60);
+    keyboard.release("pointer:1");
+    assert.ok(keyboard.isHeld(60));
+    assert.deepEqual(synth.heldVoices().map((voice) => voice.note), [60]);
+    keyboard.release("key:KeyA");
+    assert.ok(!keyboard.isHeld(60));
+    assert.deepEqual(synth.heldVoices(), []);
+});
+
+test("turning qwerty off releases only the computer keys' notes", () => {
+    const synth = stubSynth();
+    const keyboard = new PianoKeyboard(synth);
+    keyboard.press("pointer:1", 60);
+    keyboard.press("key:KeyS", 62);
+    keyboard.qwerty = false;
+    assert.deepEqual(synth.heldVoices().map((voice) => voice.note), [60]);
+});
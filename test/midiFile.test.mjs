@@ -0,0 +1,107 @@
+/**
+ * midiFile.test.mjs
+ * Written by Mirthe_
+ *
+ * Standard MIDI File checks for parseMidiFile(), on files built byte by byte (no AudioContext needed)
+ * * Run with: node --test test/midiFile.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parseMidiFile} from "../js/midiFile.js";
+
+/** end of track meta event */
+const END = [0x00, 0xFF, 0x2F, 0x00];
+
+/**
+ * Builds a MIDI file from the data of its tracks
+ * @param {number} format
+ * @param {number} division ticks per beat, or the SMPTE division word
+ * @param {number[][]} tracks MTrk chunk data of each track
+ * @param {number} [trackCount] track count in the header, defaults to the tracks given
+ * @return {ArrayBuffer}
+ */
+function midiFile(format, division, tracks, trackCount = tracks.length) {
+    const word = (value) => [(value >> 8) & 0xFF, value & 0xFF];
+    const long = (value) => [...word(value >>> 16), ...word(value)];
+    const bytes = [0x4D, 0x54, 0x68, 0x64, ...long(6), ...word(format), ...word(trackCount), ...word(division)];
+    tracks.forEach((track) => bytes.push(0x4D, 0x54, 0x72, 0x6B, ...long(track.length), ...track));
+    return new Uint8Array(bytes).buffer;
+}
+
+/**
+ * Returns the note events of a parsed file as [type, note, velocity, time]
+ * @param {Object} file
+ * @return {Array[]}
+ */
+function notes(file) {
+    return file.events.filter((event) => event.type.startsWith("note")).map((event) => [event.type, event.data1, event.data2, event.time]);
+}
+
+test("merges tracks and times events through tempo changes", () => {
+    const file = parseMidiFile(midiFile(1, 96, [
+        //120 bpm at tick 0, 60 bpm from tick 96
+        [0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20, 0x60, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40, ...END],
+        [0x00, 0xFF, 0x03, 0x04, 0x4C, 0x65, 0x61, 0x64, 0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0,
+            0x60, 0x90, 62, 100, 0x30, 0x80, 62, 0, ...END]
+    ]));
+    assert.equal(file.format, 1);
+    assert.equal(file.ticksPerBeat, 96);
+    assert.equal(file.ticksPerSecond, null);
+    assert.deepEqual(file.tracks.map((track) => track.name), ["", "Lead"]);
+    assert.deepEqual(file.tempoMap, [{tick: 0, time: 0, bpm: 120}, {tick: 96, time: 0.5, bpm: 60}]);
+    assert.deepEqual(notes(file), [["noteon", 60, 100, 0], ["noteoff", 60, 0, 0.5], ["noteon", 62, 100, 1.5], ["noteoff", 62, 0, 2]]);
+    assert.equal(file.duration, 2);
+});
+
+test("a file without tempo events plays at 120 bpm", () => {
+    const file = parseMidiFile(midiFile(0, 480, [[0x00, 0x90, 60, 100, 0x83, 0x60, 0x80, 60, 0, ...END]]));
+    assert.deepEqual(file.tempoMap, [{tick: 0, time: 0, bpm: 120}]);
+    //0x83 0x60 is a two byte delta of 480 ticks
+    assert.deepEqual(notes(file), [["noteon", 60, 100, 0], ["noteoff", 60, 0, 0.5]]);
+});
+
+test("running status and note on with velocity 0", () => {
+    const file = parseMidiFile(midiFile(0, 96, [[0x00, 0x91, 60, 100, 0x00, 64, 100, 0x60, 60, 0, 0x00, 64, 0, ...END]]));
+    assert.deepEqual(notes(file), [["noteon", 60, 100, 0], ["noteon", 64, 100, 0], ["noteoff", 60, 0, 0.5], ["noteoff", 64, 0, 0.5]]);
+    assert.ok(file.events.every((event) => event.channel === 2));
+});
+
+test("one data byte messages keep running status", () => {
+    const file = parseMidiFile(midiFile(0, 96, [[0x00, 0xC0, 5, 0x00, 7, 0x00, 0x90, 60, 100, ...END]]));
+    assert.deepEqual(file.events.map((event) => [event.type, event.data1]), [["programchange", 5], ["programchange", 7], ["noteon", 60]]);
+});
+
+test("sysex and meta events are skipped and cancel running status", () => {
+    const file = parseMidiFile(midiFile(0, 96, [[0x00, 0x90, 60, 100, 0x00, 0xF0, 0x03, 0x43, 0x12, 0xF7, 0x00, 0x80, 60, 0,
+        0x00, 0xFF, 0x01, 0x02, 0x68, 0x69, 0x00, 0x90, 62, 100, ...END]]));
+    assert.deepEqual(file.events.map((event) => [event.type, event.data1]), [["noteon", 60], ["noteoff", 60], ["noteon", 62]]);
+    assert.throws(() => parseMidiFile(midiFile(0, 96, [[0x00, 0x90, 60, 100, 0x00, 0xFF, 0x01, 0x00, 0x00, 62, 100, ...END]])),
+        /data byte without a status/);
+});
+
+test("SMPTE division times events in ticks per second and ignores tempo", () => {
+    //-25 frames per second, 40 ticks per frame
+    const file = parseMidiFile(midiFile(0, 0xE728, [[0x00, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40, 0x00, 0x90, 60, 100,
+        0x83, 0x74, 0x80, 60, 0, ...END]]));
+    assert.equal(file.ticksPerSecond, 1000);
+    assert.equal(file.ticksPerBeat, null);
+    assert.deepEqual(notes(file), [["noteon", 60, 100, 0], ["noteoff", 60, 0, 0.5]]);
+    assert.equal(file.duration, 0.5);
+});
+
+test("a track without an end of track event ends with its data", () => {
+    const file = parseMidiFile(midiFile(0, 96, [[0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0]]));
+    assert.deepEqual(notes(file), [["noteon", 60, 100, 0], ["noteoff", 60, 0, 0.5]]);
+});
+
+test("truncated files and tracks are errors", () => {
+    assert.throws(() => parseMidiFile(new Uint8Array([0x4D, 0x54, 0x68]).buffer), /Not a Standard MIDI File/);
+    assert.throws(() => parseMidiFile(midiFile(2, 96, [END])), /Unsupported MIDI file format/);
+    //the chunk says it's longer than the bytes left in the file
+    const cut = new Uint8Array(midiFile(0, 96, [[0x00, 0x90, 60, 100, ...END]])).slice(0, -4).buffer;
+    assert.throws(() => parseMidiFile(cut), /track 0 is cut off/);
+    assert.throws(() => parseMidiFile(midiFile(1, 96, [END], 2)), /has 1 of 2 tracks/);
+    //a delta time whose last byte is missing
+    assert.throws(() => parseMidiFile(midiFile(0, 96, [[0x00, 0x90, 60, 100, 0x81]])), /ends inside an event/);
+});
@@ -0,0 +1,101 @@
+/**
+ * midiInput.test.mjs
+ * Written by Mirthe_
+ *
+ * Raw MIDI byte checks for parseMidiMessage() and MidiInput, no hardware or AudioContext needed
+ * * Run with: node --test test/midiInput.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parseMidiMessage, MidiInput} from "../js/midiInput.js";
+import {stubSynth} from "./stubSynth.mjs";
+
+/**
+ * Stand-in for a Synthesizer that records the calls a MidiInput makes
+ * @return {{calls: Array[], noteOn: function, noteOff: function, panic: function}}
+ */
+function recordingSynth() {
+    const calls = [];
+    return {
+        calls: calls,
+        noteOn: (note, velocity) => calls.push(["noteOn", note, velocity]),
+        noteOff: (note) => calls.push(["noteOff", note]),
+        panic: () => calls.push(["panic"])
+    };
+}
+
+test("parses note on and note off with their channel", () => {
+    assert.deepEqual(parseMidiMessage([0x90, 60, 100, 0x81, 62, 64]), [
+        {type: "noteon", channel: 1, data1: 60, data2: 100},
+        {type: "noteoff", channel: 2, data1: 62, data2: 64}
+    ]);
+});
+
+test("note on with velocity 0 is a note off", () => {
+    assert.deepEqual(parseMidiMessage([0x9F, 60, 0]), [{type: "noteoff", channel: 16, data1: 60, data2: 0}]);
+});
+
+test("running status reuses the last channel status", () => {
+    assert.deepEqual(parseMidiMessage([0x90, 60, 100, 64, 90, 60, 0]).map((m) => [m.type, m.data1]),
+        [["noteon", 60], ["noteon", 64], ["noteoff", 60]]);
+});
+
+test("realtime bytes are skipped anywhere, even between data bytes", () => {
+    assert.deepEqual(parseMidiMessage([0xF8, 0x90, 60, 0xF8, 100, 0xFE]), [{type: "noteon", channel: 1, data1: 60, data2: 100}]);
+    assert.deepEqual(parseMidiMessage([0x90, 0xFA, 60, 0xF8, 0xFC, 100]), [{type: "noteon", channel: 1, data1: 60, data2: 100}]);
+});
+
+test("one data byte messages", () => {
+    assert.deepEqual(parseMidiMessage([0xC0, 5, 0xD1, 0xF8, 70]), [
+        {type: "programchange", channel: 1, data1: 5, data2: 0},
+        {type: "aftertouch", channel: 2, data1: 70, data2: 0}
+    ]);
+});
+
+test("a message interrupted by a new status byte is dropped", () => {
+    assert.deepEqual(parseMidiMessage([0x90, 60, 0x80, 61, 0]), [{type: "noteoff", channel: 1, data1: 61, data2: 0}]);
+});
+
+test("incomplete messages and stray data bytes are ignored", () => {
+    assert.deepEqual(parseMidiMessage([0x90, 60]), []);
+    assert.deepEqual(parseMidiMessage([60, 100]), []);
+});
+
+test("sysex and system common messages are skipped and clear running status", () => {
+    assert.deepEqual(parseMidiMessage([0x90, 60, 100, 0xF0, 1, 2, 3, 0xF7, 62, 100, 0xB0, 7, 100]).map((m) => m.type),
+        ["noteon", "controlchange"]);
+});
+
+test("MidiInput maps notes to noteOn/noteOff and only releases notes it played", () => {
+    const synth = recordingSynth();
+    const input = new MidiInput(synth);
+    input.handleMidiMessage([0x90, 60, 100, 0x90, 60, 0, 0x80, 61, 0]);
+    assert.deepEqual(synth.calls, [["noteOn", 60, 100], ["noteOff", 60]]);
+});
+
+test("MidiInput releases its own voices by handle, in the order they started", () => {
+    const synth = stubSynth();
+    const input = new MidiInput(synth);
+    input.handleMidiMessage([0x90, 60, 100, 0x90, 60, 90]);
+    //another input (ie. a sequencer) starts a voice on the same note
+    const other = synth.startNote(60, 80);
+    input.handleMidiMessage([0x80, 60, 0]);
+    assert.deepEqual(synth.heldVoices().map((voice) => voice.velocity), [90, 80]);
+    input.releaseAll();
+    assert.deepEqual(synth.heldVoices(), [other.voice]);
+});
+
+test("MidiInput filters channels", () => {
+    const synth = recordingSynth();
+    const input = new MidiInput(synth, [2]);
+    input.handleMidiMessage([0x90, 60, 100, 0x91, 62, 100]);
+    assert.deepEqual(synth.calls, [["noteOn", 62, 100]]);
+});
+
+test("All Sound Off and All Notes Off panic the synth", () => {
+    const synth = recordingSynth();
+    const input = new MidiInput(synth);
+    input.handleMidiMessage([0xB0, 120, 0, 0xB0, 123, 0]);
+    assert.deepEqual(synth.calls, [["panic"], ["panic"]]);
+});
@@ -0,0 +1,62 @@
+/**
+ * sequencer.test.mjs
+ * Written by Mirthe_
+ *
+ * Checks the Sequencer never leaves voices held and only releases its own, on a stub synth
+ * * Run with: node --test test/sequencer.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Pattern, Sequencer} from "../js/sequencer.js";
+import {stubSynth} from "./stubSynth.mjs";
+
+test("steps play their notes with their gate, rests and ties", () => {
+    const synth = stubSynth();
+    const pattern = Pattern.fromNotes([60, null, 62, 64], {gate: 0.5}, "1/16");
+    pattern.setStep(3, {tie: true});
+    const sequencer = new Sequencer(synth, {bpm: 120, loop: false, patterns: [pattern]});
+    sequencer.start();
+    synth.advance(1);
+    assert.deepEqual(synth.voices.map((voice) => [voice.note, voice.start, voice.end]),
+        [[60, 0, 0.0625], [62, 0.25, 0.4375]]);
+    assert.equal(sequencer.playing, false);
+});
+
+test("stop releases every note, including the ones scheduled ahead", () => {
+    const synth = stubSynth();
+    const sequencer = new Sequencer(synth, {bpm: 120, patterns: [Pattern.fromNotes([60, 62, 64, 65], {gate: 1})]});
+    sequencer.start();
+    synth.advance(0.31);
+    //the step at 0.375 has already been handed to the synth
+    assert.ok(synth.voices.some((voice) => voice.note === 65 && voice.start === 0.375));
+    sequencer.stop();
+    assert.deepEqual(synth.heldVoices(), []);
+    synth.advance(1);
+    assert.ok(synth.voices.every((voice) => voice.start < 0.31 || voice.end <= voice.start),
+        "a step sounded after the sequencer stopped");
+    assert.deepEqual(synth.heldVoices(), []);
+    assert.deepEqual(synth.events, []);
+});
+
+test("stop leaves other inputs' voices on the same notes", () => {
+    const synth = stubSynth();
+    const sequencer = new Sequencer(synth, {patterns: [Pattern.fromNotes([60], {gate: 1})]});
+    synth.noteOn(60, 90);
+    sequencer.start();
+    synth.advance(0.05);
+    sequencer.stop();
+    assert.deepEqual(synth.heldVoices().map((voice) => [voice.note, voice.by]), [[60, "noteOn"]]);
+});
+
+test("the chain plays its patterns in order and loops", () => {
+    const synth = stubSynth();
+    const sequencer = new Sequencer(synth, {
+        bpm: 120, patterns: [Pattern.fromNotes([60], {}, "1/8"), Pattern.fromNotes([72, 74], {}, "1/16")], chain: [0, 1]
+    });
+    sequencer.start();
+    synth.advance(0.6);
+    sequencer.stop();
+    assert.deepEqual(synth.voices.map((voice) => [voice.note, voice.start]),
+        [[60, 0], [72, 0.25], [74, 0.375], [60, 0.5]]);
+});
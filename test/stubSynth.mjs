@@ -0,0 +1,107 @@
+/**
+ * stubSynth.mjs
+ * Written by Mirthe_
+ *
+ * Stand-in for a Synthesizer's note scheduling, for testing what plays it without an AudioContext
+ * * Scheduled events run scheduleAheadTime early like the real synth's (see Synthesizer.scheduleEvent)
+ * * Every voice is recorded with its note, start and release time, and which call started it
+ */
+
+/**
+ * Creates a stub synth at context time 0
+ * @return {Object} synth with scheduleEvent/cancelEvent, startNote/releaseNote, noteOn/noteOff/panic,
+ * its voices and advance(seconds) to move the clock on
+ */
+export function stubSynth() {
+    const synth = {
+        context: {currentTime: 0},
+        scheduleAheadTime: 0.1,
+        /** @type {{time: number, callback: function(number)}[]} */
+        events: [],
+        /** @type {{note: number, velocity: number, start: number, end: (number|null), by: string}[]} */
+        voices: [],
+        panics: 0,
+
+        scheduleEvent(time, callback) {
+            const event = {time: time, callback: callback};
+            const i = synth.events.findIndex((other) => other.time > time);
+            synth.events.splice(i < 0 ? synth.events.length : i, 0, event);
+            synth.runScheduledEvents();
+            return event;
+        },
+
+        cancelEvent(event) {
+            const i = synth.events.indexOf(event);
+            if (i < 0) return false;
+            synth.events.splice(i, 1);
+            return true;
+        },
+
+        runScheduledEvents() {
+            while (synth.events.length > 0 && synth.events[0].time - synth.scheduleAheadTime <= synth.context.currentTime) {
+                const event = synth.events.shift();
+                event.callback(Math.max(event.time, synth.context.currentTime));
+            }
+        },
+
+        startVoice(note, velocity, time, by) {
+            const voice = {note: note, velocity: velocity, start: time, end: null, by: by};
+            synth.voices.push(voice);
+            return voice;
+        },
+
+        startNote(note, velocity = 127, when = 0) {
+            const handle = {note: note, voice: null, event: null};
+            const play = (time) => handle.voice = synth.startVoice(note, velocity, time, "startNote");
+            if (when > synth.context.currentTime) handle.event = synth.scheduleEvent(when, play);
+            else play(synth.context.currentTime);
+            return handle;
+        },
+
+        releaseNote(handle, when = 0) {
+            const release = (time) => {
+                if (handle.event && synth.cancelEvent(handle.event)) return;
+                if (handle.voice && handle.voice.end === null) handle.voice.end = time;
+            };
+            if (when > synth.context.currentTime) synth.scheduleEvent(when, release);
+            else release(synth.context.currentTime);
+        },
+
+        noteOn(note, velocity = 127) {
+            synth.startVoice(note, velocity, synth.context.currentTime, "noteOn");
+        },
+
+        //releases the most recent held voice on the note, like the real synth
+        noteOff(note) {
+            const voice = synth.heldVoices().filter((held) => held.note === note).pop();
+            if (voice) voice.end = synth.context.currentTime;
+        },
+
+        panic() {
+            synth.panics++;
+            synth.events = [];
+            synth.heldVoices().forEach((voice) => voice.end = synth.context.currentTime);
+        },
+
+        /**
+         * Voices started by now and not released
+         * @return {Object[]}
+         */
+        heldVoices() {
+            return synth.voices.filter((voice) => voice.start <= synth.context.currentTime && voice.end === null);
+        },
+
+        /**
+         * Moves the clock on in small steps, running events as it goes
+         * @param {number} seconds
+         */
+        advance(seconds) {
+            const end = synth.context.currentTime + seconds;
+            while (synth.context.currentTime < end) {
+                synth.context.currentTime = Math.min(end, synth.context.currentTime + 0.01);
+                synth.runScheduledEvents();
+            }
+        }
+    };
+    return synth;
+}
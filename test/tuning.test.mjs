@@ -0,0 +1,103 @@
+/**
+ * tuning.test.mjs
+ * Written by Mirthe_
+ *
+ * Scala .scl/.kbm text checks for Tuning, no AudioContext needed
+ * * Run with: node --test test/tuning.test.mjs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Tuning} from "../js/tuning.js";
+
+/**
+ * Checks two numbers are equal to a few decimals
+ * @param {number} actual
+ * @param {number} expected
+ */
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, actual + " is not " + expected);
+}
+
+test("Scala pitches with a period are cents, others are ratios", () => {
+    near(Tuning.parseScalaPitch("100.0"), 100);
+    near(Tuning.parseScalaPitch("-5.5"), -5.5);
+    near(Tuning.parseScalaPitch("3/2"), 1200 * Math.log2(3 / 2));
+    near(Tuning.parseScalaPitch("2"), 1200);
+    assert.throws(() => Tuning.parseScalaPitch("abc"), /Invalid Scala pitch/);
+    assert.throws(() => Tuning.parseScalaPitch("0/1"), /Invalid Scala pitch/);
+});
+
+test("reads a .scl file with comments and text after the pitches", () => {
+    const tuning = Tuning.fromScala([
+        "! meantone.scl",
+        "!",
+        "Quarter comma meantone, partial",
+        " 4",
+        "!",
+        " 76.04900 ! cents",
+        " 5/4  major third",
+        "",
+        " 696.57843",
+        " 2/1"
+    ].join("\r\n"));
+    assert.equal(tuning.description, "Quarter comma meantone, partial");
+    assert.equal(tuning.cents.length, 4);
+    near(tuning.cents[0], 76.049);
+    near(tuning.cents[1], 1200 * Math.log2(5 / 4));
+    near(tuning.cents[2], 696.57843);
+    near(tuning.cents[3], 1200);
+});
+
+test("an empty description line is kept, missing notes are an error", () => {
+    assert.equal(Tuning.fromScala("\n1\n2/1\n").description, "");
+    assert.throws(() => Tuning.fromScala("Short\n3\n100.0\n2/1\n"), /has 2 of 3 notes/);
+    assert.throws(() => Tuning.fromScala("No count\nmany\n"), /no note count/);
+    assert.throws(() => Tuning.fromScala("! only a comment"), /Not a Scala scale file/);
+});
+
+test("a non-octave period repeats the scale every period", () => {
+    //Bohlen-Pierce: 13 equal steps of the 3/1 tritave
+    const steps = Array.from({length: 12}, (v, k) => ((k + 1) * 1200 * Math.log2(3) / 13).toFixed(5));
+    const tuning = Tuning.fromScala(["Bohlen-Pierce", "13", ...steps, "3/1"].join("\n"));
+    near(tuning.frequency(69), 440);
+    near(tuning.frequency(69 + 13), 440 * 3);
+    near(tuning.frequency(69 - 13), 440 / 3);
+    near(tuning.frequency(70) / tuning.frequency(69), Math.pow(3, 1 / 13));
+});
+
+test("reads a .kbm mapping with unmapped x keys", () => {
+    const tuning = new Tuning().loadKeyboardMapping([
+        "! white keys only",
+        "12",
+        "0",
+        "127",
+        "60",
+        "69",
+        "432.0",
+        "12",
+        "! mapping",
+        "0", "x", "2", "x", "4", "5", "x", "7", "x", "9", "x", "11"
+    ].join("\n"));
+    assert.deepEqual(tuning.mapping, {size: 12, firstNote: 0, lastNote: 127, middleNote: 60, octaveDegree: 12,
+        keys: [0, null, 2, null, 4, 5, null, 7, null, 9, null, 11]});
+    assert.equal(tuning.referenceNote, 69);
+    assert.equal(tuning.referenceFrequency, 432);
+    near(tuning.frequency(69), 432);
+    near(tuning.frequency(60), 432 * Math.pow(2, -9 / 12));
+    assert.equal(tuning.frequency(61), null);
+    assert.equal(tuning.frequency(61 + 12), null);
+    assert.equal(tuning.frequency(61 - 24), null);
+});
+
+test("a .kbm map shorter than its size leaves the rest unmapped, the note range limits it", () => {
+    const tuning = new Tuning().loadKeyboardMapping("4\n48\n72\n60\n60\n261.6\n4\n0\n1\n");
+    assert.deepEqual(tuning.mapping.keys, [0, 1, null, null]);
+    near(tuning.frequency(60), 261.6);
+    assert.equal(tuning.frequency(62), null);
+    //the map repeats every 4 keys, moving up octaveDegree (4) degrees of the scale
+    near(tuning.frequency(64), 261.6 * Math.pow(2, 400 / 1200));
+    assert.equal(tuning.frequency(47), null);
+    assert.equal(tuning.frequency(73), null);
+    assert.throws(() => new Tuning().loadKeyboardMapping("12\n0\n127\n"), /Not a Scala keyboard mapping file/);
+});